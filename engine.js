@@ -3,9 +3,9 @@
  * WebGL2 GPU-Accelerated Voxel Renderer
  * 
  * Phase 2: Brick Map Hierarchy
- * - 2-level structure: Coarse Grid → 8³ Bricks
- * - Sparse storage: only occupied regions use memory
- * - O(1) empty space skipping at coarse level
+ * - 3-level structure: Top Grid → 8³-cell Chunks → 8³ Bricks
+ * - Sparse storage: only occupied regions use memory, at every level
+ * - O(1) empty space skipping per empty chunk and per empty coarse cell
  */
 
 // ============================================================================
@@ -13,29 +13,47 @@
 // ============================================================================
 
 const VERTEX_SHADER_SOURCE = `#version 300 es
-in vec2 a_position;
-out vec2 v_uv;
+layout(location = 0) in vec2 a_position;
 
 void main() {
-    v_uv = a_position * 0.5 + 0.5;
     gl_Position = vec4(a_position, 0.0, 1.0);
 }
 `;
 
+// Copies the path tracer's accumulation buffer to the screen
+const DISPLAY_FRAGMENT_SHADER_SOURCE = `#version 300 es
+precision highp float;
+
+uniform sampler2D u_image;
+out vec4 fragColor;
+
+void main() {
+    fragColor = vec4(texelFetch(u_image, ivec2(gl_FragCoord.xy), 0).rgb, 1.0);
+}
+`;
+
 const FRAGMENT_SHADER_SOURCE = `#version 300 es
 precision highp float;
 precision highp sampler3D;
 precision highp usampler3D;
+precision highp sampler2D;
+precision highp usampler2D;
 
-in vec2 v_uv;
 out vec4 fragColor;
 
 // Brick map textures
-uniform usampler3D u_coarseGrid;    // Coarse grid: stores brick indices (0 = empty)
-uniform sampler3D u_brickAtlas;      // Brick atlas: packed 8³ bricks
+uniform usampler3D u_topGrid;        // Top grid: stores chunk indices (0 = empty)
+uniform usampler3D u_chunkPool;      // Chunk pool: packed 8³ blocks of brick indices (0 = empty)
+uniform sampler3D u_brickAtlas;      // Brick atlas: packed 8³ bricks (RGBA storage)
+uniform usampler3D u_materialAtlas;  // Brick atlas of material IDs (material storage)
+uniform sampler2D u_materialTable;   // Material color + properties texels, 256 entries per row
+uniform int u_storageMode;           // 0 = RGBA, 1 = material IDs
 
 // Brick map parameters
 uniform vec3 u_coarseGridSize;       // Size of coarse grid (e.g., 64³)
+uniform vec3 u_topGridSize;          // Size of top grid in chunks (coarse size / 8, rounded up)
+uniform vec3 u_chunkPoolSize;        // Size of chunk pool in chunks
+uniform ivec3 u_windowOrigin;        // Chunk position of the world window's minimum corner
 uniform vec3 u_atlasSize;            // Size of brick atlas in bricks (e.g., 32x32x32 bricks)
 uniform int u_brickSize;             // Size of each brick (8)
 
@@ -44,30 +62,72 @@ uniform vec3 u_cameraPos;
 uniform vec3 u_cameraDir;
 uniform vec3 u_cameraUp;
 uniform vec3 u_cameraRight;
-uniform vec2 u_resolution;
+uniform vec2 u_resolution;           // Full image size (the canvas, or an offscreen still)
+uniform vec2 u_tileOffset;           // Pixel offset of the tile being drawn within the image
 uniform float u_fov;
 uniform int u_maxSteps;
 uniform int u_showNormals;
 uniform int u_enableShadows;
+uniform int u_shadowSteps;           // Step budget per shadow ray
+uniform float u_shadowDarkness;      // Sun shadow darkness (0 = none, 1 = black)
+uniform int u_shadowSamples;         // Rays per light (1 = hard shadows)
+uniform float u_sunAngularRadius;    // Sun disk radius for soft shadows (radians)
+uniform float u_lightRadius;         // Point/spot light radius for soft shadows (voxels)
+uniform int u_aoEnabled;             // Per-face ambient occlusion
+uniform float u_aoStrength;          // 0 = none, 1 = fully dark creases
 uniform vec3 u_lightDir;
+uniform vec3 u_lightColor;
 uniform vec3 u_skyColorTop;
 uniform vec3 u_skyColorBottom;
+uniform vec3 u_fogColor;
+
+// Sky model (see VoxelEngine._skyLighting): 0 = gradient, 1 = Preetham atmosphere
+uniform int u_skyModel;
+uniform vec3 u_sunDir;               // Towards the sun, also below the horizon
+uniform vec3 u_sunColor;             // Sun disk color after the atmosphere
+uniform vec3 u_perezA;               // Perez coefficients for (Y, x, y)
+uniform vec3 u_perezB;
+uniform vec3 u_perezC;
+uniform vec3 u_perezD;
+uniform vec3 u_perezE;
+uniform vec3 u_skyZenith;            // Zenith (Y, x, y) divided by F(0, sun zenith angle)
 uniform float u_fogDensity;
-uniform int u_lanternEnabled;
-uniform vec3 u_lanternPos;
-uniform vec3 u_lanternDir;
-uniform float u_lanternIntensity;
-uniform float u_lanternConeAngle;
-
-// Orb lights (up to 16)
-uniform int u_numOrbLights;
-uniform vec3 u_orbPositions[16];
-uniform vec3 u_orbDirections[16];
-uniform vec3 u_orbColors[16];
-uniform float u_orbIntensity;
+
+// Lights (see VoxelEngine.addLight): LIGHT_TEXELS texels per light, directional
+// lights first; point and spot lights are found through a grid of chunk cells
+uniform sampler2D u_lightData;
+uniform usampler3D u_lightGrid;      // Per window chunk: (offset, count) into u_lightIndices
+uniform usampler2D u_lightIndices;   // Light indices, LIGHT_INDEX_WIDTH per row
+uniform int u_directionalLightCount;
+
+// Build mode highlight
+uniform int u_highlightEnabled;
+uniform vec3 u_highlightVoxel;
+
+// Progressive path tracing
+uniform int u_pathTrace;             // 1 = accumulate path-traced samples
+uniform int u_frameIndex;            // Samples already in u_accumulation
+uniform int u_maxBounces;            // Indirect bounces per path
+uniform sampler2D u_accumulation;    // Running average of previous samples
 
 // Constants
 const int BRICK_SIZE = 8;
+const int CHUNK_SIZE = 8;                // Coarse cells per chunk axis
+const int CHUNK_VOXELS = CHUNK_SIZE * BRICK_SIZE;
+const int MAX_TOP_STEPS = 512;
+const float MAX_EMISSIVE = 8.0;          // Matches MATERIAL_MAX_EMISSIVE
+const int MAX_TRANSPARENT_LAYERS = 4;    // Glass voxels a ray may pass through (matches MAX_TRANSPARENT_LAYERS)
+const int MAX_SHADOW_SAMPLES = 16;       // Upper bound for u_shadowSamples
+const float SHADOW_BIAS = 0.01;          // Shadow ray offset off the surface (matches SHADOW_BIAS)
+const int MAX_BOUNCES = 8;               // Upper bound for u_maxBounces
+const int LIGHT_TEXELS = 4;              // Matches LIGHT_TEXELS
+const int LIGHT_DATA_WIDTH = 1024;       // Matches LIGHT_DATA_WIDTH
+const int LIGHT_INDEX_WIDTH = 4096;      // Matches LIGHT_INDEX_WIDTH
+const int LIGHT_SPOT = 1;
+const int LIGHT_DIRECTIONAL = 2;
+const float SKY_EXPOSURE = 0.06;         // Matches SKY_EXPOSURE
+const vec3 NIGHT_SKY_COLOR = vec3(0.01, 0.015, 0.04);  // Matches NIGHT_SKY_COLOR
+const float MOON_ANGULAR_RADIUS = 0.03;  // Matches MOON_ANGULAR_RADIUS
 
 // Get world size in voxels
 vec3 getWorldSize() {
@@ -90,35 +150,78 @@ vec2 intersectAABB(vec3 rayOrigin, vec3 rayDir, vec3 boxMin, vec3 boxMax) {
     return vec2(tNear, tFar);
 }
 
-// Get brick index from coarse grid (0 = empty, >0 = brick index)
-uint getBrickIndex(ivec3 coarsePos) {
-    if (coarsePos.x < 0 || coarsePos.y < 0 || coarsePos.z < 0 ||
-        coarsePos.x >= int(u_coarseGridSize.x) || 
-        coarsePos.y >= int(u_coarseGridSize.y) || 
-        coarsePos.z >= int(u_coarseGridSize.z)) {
-        return 0u;
-    }
-    return texelFetch(u_coarseGrid, coarsePos, 0).r;
+// Convert a 1-based pool index to its slot in a pool laid out X, then Y, then Z
+ivec3 indexToPoolPos(uint index, vec3 poolSize) {
+    int idx = int(index) - 1; // indices are 1-based (0 = empty)
+    int poolWidth = int(poolSize.x);
+    int poolHeight = int(poolSize.y);
+    int x = idx % poolWidth;
+    int y = (idx / poolWidth) % poolHeight;
+    int z = idx / (poolWidth * poolHeight);
+    return ivec3(x, y, z);
+}
+
+// Top grid texel for a chunk position (the top grid wraps toroidally)
+ivec3 wrapTopPos(ivec3 topPos) {
+    ivec3 size = ivec3(u_topGridSize);
+    return topPos - size * ivec3(floor(vec3(topPos) / vec3(size)));
 }
 
 // Convert brick index to atlas position
 ivec3 brickIndexToAtlasPos(uint brickIndex) {
-    int idx = int(brickIndex) - 1; // brick indices are 1-based (0 = empty)
-    int atlasWidth = int(u_atlasSize.x);
-    int atlasHeight = int(u_atlasSize.y);
-    int x = idx % atlasWidth;
-    int y = (idx / atlasWidth) % atlasHeight;
-    int z = idx / (atlasWidth * atlasHeight);
-    return ivec3(x, y, z);
+    return indexToPoolPos(brickIndex, u_atlasSize);
+}
+
+// Material table texel: color (slot 0) or properties (slot 1) of a material
+vec4 getMaterialTexel(uint material, int slot) {
+    return texelFetch(u_materialTable, ivec2(int(material % 256u) * 2 + slot, int(material / 256u)), 0);
+}
+
+// Material properties: x = emissive, y = roughness, z = metalness, w = transparency
+vec4 getMaterialProps(uint material) {
+    vec4 props = getMaterialTexel(material, 1);
+    return vec4(props.x * MAX_EMISSIVE, props.yzw);
 }
 
-// Get voxel from brick atlas
-vec4 getVoxelFromBrick(uint brickIndex, ivec3 localPos) {
-    if (brickIndex == 0u) return vec4(0.0);
+// Get voxel color and material from brick atlas (false if empty).
+// RGBA voxels carry the material in alpha; 255 maps to the plain material 0.
+bool getVoxelFromBrick(uint brickIndex, ivec3 localPos, out vec3 color, out uint material) {
+    if (brickIndex == 0u) return false;
     
     ivec3 atlasPos = brickIndexToAtlasPos(brickIndex);
     ivec3 texelPos = atlasPos * BRICK_SIZE + localPos;
-    return texelFetch(u_brickAtlas, texelPos, 0);
+    
+    if (u_storageMode == 1) {
+        material = texelFetch(u_materialAtlas, texelPos, 0).r;
+        if (material == 0u) return false;
+        color = getMaterialTexel(material, 0).rgb;
+        return true;
+    }
+    vec4 voxel = texelFetch(u_brickAtlas, texelPos, 0);
+    if (voxel.a <= 0.0) return false;
+    uint alpha = uint(voxel.a * 255.0 + 0.5);
+    material = alpha == 255u ? 0u : alpha;
+    color = voxel.rgb;
+    return true;
+}
+
+// Whether a world-space voxel is occupied (false outside the window)
+bool isVoxelSolid(ivec3 voxelPos) {
+    ivec3 rel = voxelPos - u_windowOrigin * CHUNK_VOXELS;
+    if (any(lessThan(rel, ivec3(0))) || any(greaterThanEqual(rel, ivec3(getWorldSize())))) return false;
+    
+    ivec3 coarsePos = ivec3(floor(vec3(voxelPos) / float(BRICK_SIZE)));
+    ivec3 topPos = ivec3(floor(vec3(coarsePos) / float(CHUNK_SIZE)));
+    uint chunkIndex = texelFetch(u_topGrid, wrapTopPos(topPos), 0).r;
+    if (chunkIndex == 0u) return false;
+    
+    ivec3 poolPos = indexToPoolPos(chunkIndex, u_chunkPoolSize) * CHUNK_SIZE + coarsePos - topPos * CHUNK_SIZE;
+    uint brickIndex = texelFetch(u_chunkPool, poolPos, 0).r;
+    if (brickIndex == 0u) return false;
+    
+    ivec3 texelPos = brickIndexToAtlasPos(brickIndex) * BRICK_SIZE + voxelPos - coarsePos * BRICK_SIZE;
+    if (u_storageMode == 1) return texelFetch(u_materialAtlas, texelPos, 0).r != 0u;
+    return texelFetch(u_brickAtlas, texelPos, 0).a > 0.0;
 }
 
 // Hit result structure
@@ -127,6 +230,7 @@ struct HitResult {
     vec3 pos;
     vec3 normal;
     vec4 color;
+    uint material;
     float distance;
     int steps;
 };
@@ -188,10 +292,12 @@ bool traceBrick(uint brickIndex, vec3 rayOrigin, vec3 rayDir,
     // DDA through brick
     for (int i = 0; i < BRICK_SIZE * 3; i++) {
         // Check voxel
-        vec4 voxel = getVoxelFromBrick(brickIndex, mapPos);
-        if (voxel.a > 0.0) {
+        vec3 voxelColor;
+        uint voxelMaterial;
+        if (getVoxelFromBrick(brickIndex, mapPos, voxelColor, voxelMaterial)) {
             result.hit = true;
-            result.color = voxel;
+            result.color = vec4(voxelColor, 1.0);
+            result.material = voxelMaterial;
             result.pos = brickMin + vec3(mapPos);
             
             // Normal based on side
@@ -243,56 +349,48 @@ bool traceBrick(uint brickIndex, vec3 rayOrigin, vec3 rayDir,
     return false;
 }
 
-// Main ray trace - 2-level DDA
-HitResult traceRay(vec3 origin, vec3 direction) {
-    HitResult result;
-    result.hit = false;
-    result.steps = 0;
-    result.normal = vec3(0.0);
-    
-    vec3 worldSize = getWorldSize();
+// Coarse-cell DDA through one chunk; steps are counted in result.steps
+bool traceChunk(uint chunkIndex, vec3 rayOrigin, vec3 rayDir, ivec3 topPos,
+                int maxSteps, inout HitResult result) {
     
-    // Intersect with world bounds
-    vec2 tBox = intersectAABB(origin, direction, vec3(0.0), worldSize);
-    if (tBox.x > tBox.y || tBox.y < 0.0) {
-        return result;
-    }
+    // Chunk bounds in world space
+    vec3 chunkMin = vec3(topPos * CHUNK_VOXELS);
+    vec3 chunkMax = chunkMin + float(CHUNK_VOXELS);
     
-    float tStart = max(0.0, tBox.x) + 0.001;
-    vec3 startPos = origin + direction * tStart;
+    // Safeguard ray direction to avoid division issues
+    vec3 safeRayDir = rayDir;
+    safeRayDir.x = abs(rayDir.x) < 1e-8 ? (rayDir.x >= 0.0 ? 1e-8 : -1e-8) : rayDir.x;
+    safeRayDir.y = abs(rayDir.y) < 1e-8 ? (rayDir.y >= 0.0 ? 1e-8 : -1e-8) : rayDir.y;
+    safeRayDir.z = abs(rayDir.z) < 1e-8 ? (rayDir.z >= 0.0 ? 1e-8 : -1e-8) : rayDir.z;
     
-    // Coarse grid position
-    vec3 coarseStart = startPos / float(BRICK_SIZE);
-    ivec3 coarsePos = ivec3(floor(coarseStart));
-    coarsePos = clamp(coarsePos, ivec3(0), ivec3(u_coarseGridSize) - 1);
+    vec2 tRange = intersectAABB(rayOrigin, safeRayDir, chunkMin, chunkMax);
+    if (tRange.x > tRange.y || tRange.y < 0.0) return false;
     
-    // Safe direction for DDA
-    vec3 safeDir;
-    safeDir.x = abs(direction.x) < 1e-8 ? (direction.x >= 0.0 ? 1e-8 : -1e-8) : direction.x;
-    safeDir.y = abs(direction.y) < 1e-8 ? (direction.y >= 0.0 ? 1e-8 : -1e-8) : direction.y;
-    safeDir.z = abs(direction.z) < 1e-8 ? (direction.z >= 0.0 ? 1e-8 : -1e-8) : direction.z;
+    float tStart = max(0.0, tRange.x) + 0.001;
+    vec3 coarseStart = (rayOrigin + safeRayDir * tStart) / float(BRICK_SIZE);
+    ivec3 cellMin = topPos * CHUNK_SIZE;
+    ivec3 coarsePos = clamp(ivec3(floor(coarseStart)), cellMin, cellMin + CHUNK_SIZE - 1);
     
-    // DDA setup for coarse grid - step must never be 0
+    // DDA setup - step must never be 0
     ivec3 step = ivec3(
-        safeDir.x >= 0.0 ? 1 : -1,
-        safeDir.y >= 0.0 ? 1 : -1,
-        safeDir.z >= 0.0 ? 1 : -1
+        safeRayDir.x >= 0.0 ? 1 : -1,
+        safeRayDir.y >= 0.0 ? 1 : -1,
+        safeRayDir.z >= 0.0 ? 1 : -1
     );
-    vec3 deltaDist = abs(vec3(float(BRICK_SIZE)) / safeDir);
+    vec3 deltaDist = abs(vec3(float(BRICK_SIZE)) / safeRayDir);
     vec3 sideDist = (vec3(step) * (vec3(coarsePos) - coarseStart) + (vec3(step) * 0.5) + 0.5) * deltaDist;
     
-    // Coarse grid DDA
-    for (int i = 0; i < 512; i++) {
-        if (i >= u_maxSteps) break;
-        result.steps = i + 1;
-        
-        // Check if brick exists at this coarse position
-        uint brickIndex = getBrickIndex(coarsePos);
+    // Offset from coarse position to this chunk's texels in the pool
+    ivec3 poolOffset = indexToPoolPos(chunkIndex, u_chunkPoolSize) * CHUNK_SIZE - cellMin;
+    
+    for (int i = 0; i < CHUNK_SIZE * 3; i++) {
+        if (result.steps >= maxSteps) return false;
+        result.steps++;
         
+        uint brickIndex = texelFetch(u_chunkPool, coarsePos + poolOffset, 0).r;
         if (brickIndex > 0u) {
-            // Trace through the brick
-            if (traceBrick(brickIndex, origin, direction, coarsePos, result)) {
-                return result;
+            if (traceBrick(brickIndex, rayOrigin, rayDir, coarsePos, result)) {
+                return true;
             }
         }
         
@@ -315,24 +413,41 @@ HitResult traceRay(vec3 origin, vec3 direction) {
             }
         }
         
-        // Check bounds
-        if (coarsePos.x < 0 || coarsePos.x >= int(u_coarseGridSize.x) ||
-            coarsePos.y < 0 || coarsePos.y >= int(u_coarseGridSize.y) ||
-            coarsePos.z < 0 || coarsePos.z >= int(u_coarseGridSize.z)) {
+        // Exit chunk bounds
+        if (any(lessThan(coarsePos, cellMin)) || any(greaterThanEqual(coarsePos, cellMin + CHUNK_SIZE))) {
             break;
         }
     }
     
-    return result;
+    return false;
 }
 
-// Shadow ray (simplified - just check for any hit)
-float traceShadow(vec3 origin, vec3 direction) {
+// 3-level DDA: top grid → chunk → brick. Empty chunks are skipped in one step;
+// maxSteps counts top-grid and coarse-cell steps together.
+HitResult traceHierarchy(vec3 origin, vec3 direction, int maxSteps) {
+    HitResult result;
+    result.hit = false;
+    result.steps = 0;
+    result.normal = vec3(0.0);
+    
     vec3 worldSize = getWorldSize();
-    vec3 startPos = origin + direction * 0.5;
     
-    vec3 coarseStart = startPos / float(BRICK_SIZE);
-    ivec3 coarsePos = ivec3(floor(coarseStart));
+    // Intersect with the world window bounds
+    ivec3 topMin = u_windowOrigin;
+    ivec3 topMax = topMin + ivec3(u_topGridSize);
+    vec3 windowMin = vec3(topMin * CHUNK_VOXELS);
+    vec2 tBox = intersectAABB(origin, direction, windowMin, windowMin + worldSize);
+    if (tBox.x > tBox.y || tBox.y < 0.0) {
+        return result;
+    }
+    
+    float tStart = max(0.0, tBox.x) + 0.001;
+    vec3 startPos = origin + direction * tStart;
+    
+    // Top grid position (in chunks, world space)
+    vec3 topStart = startPos / float(CHUNK_VOXELS);
+    ivec3 topPos = ivec3(floor(topStart));
+    topPos = clamp(topPos, topMin, topMax - 1);
     
     // Safe direction for DDA
     vec3 safeDir;
@@ -340,61 +455,468 @@ float traceShadow(vec3 origin, vec3 direction) {
     safeDir.y = abs(direction.y) < 1e-8 ? (direction.y >= 0.0 ? 1e-8 : -1e-8) : direction.y;
     safeDir.z = abs(direction.z) < 1e-8 ? (direction.z >= 0.0 ? 1e-8 : -1e-8) : direction.z;
     
+    // DDA setup for top grid - step must never be 0
     ivec3 step = ivec3(
         safeDir.x >= 0.0 ? 1 : -1,
         safeDir.y >= 0.0 ? 1 : -1,
         safeDir.z >= 0.0 ? 1 : -1
     );
-    vec3 deltaDist = abs(vec3(float(BRICK_SIZE)) / safeDir);
-    vec3 sideDist = (vec3(step) * (vec3(coarsePos) - coarseStart) + (vec3(step) * 0.5) + 0.5) * deltaDist;
+    vec3 deltaDist = abs(vec3(float(CHUNK_VOXELS)) / safeDir);
+    vec3 sideDist = (vec3(step) * (vec3(topPos) - topStart) + (vec3(step) * 0.5) + 0.5) * deltaDist;
     
-    HitResult tempResult;
-    tempResult.hit = false;
-    
-    for (int i = 0; i < 64; i++) {
-        if (coarsePos.x < 0 || coarsePos.x >= int(u_coarseGridSize.x) ||
-            coarsePos.y < 0 || coarsePos.y >= int(u_coarseGridSize.y) ||
-            coarsePos.z < 0 || coarsePos.z >= int(u_coarseGridSize.z)) {
-            return 1.0;
-        }
+    // Top grid DDA
+    for (int i = 0; i < MAX_TOP_STEPS; i++) {
+        if (result.steps >= maxSteps) break;
+        result.steps++;
         
-        uint brickIndex = getBrickIndex(coarsePos);
-        if (brickIndex > 0u) {
-            if (traceBrick(brickIndex, origin, direction, coarsePos, tempResult)) {
-                return 0.3;
+        // Check if a chunk exists at this top grid position
+        uint chunkIndex = texelFetch(u_topGrid, wrapTopPos(topPos), 0).r;
+        
+        if (chunkIndex > 0u) {
+            // Trace through the chunk's coarse cells
+            if (traceChunk(chunkIndex, origin, direction, topPos, maxSteps, result)) {
+                return result;
             }
         }
         
+        // DDA step to next top grid cell
         if (sideDist.x < sideDist.y) {
             if (sideDist.x < sideDist.z) {
                 sideDist.x += deltaDist.x;
-                coarsePos.x += step.x;
+                topPos.x += step.x;
             } else {
                 sideDist.z += deltaDist.z;
-                coarsePos.z += step.z;
+                topPos.z += step.z;
             }
         } else {
             if (sideDist.y < sideDist.z) {
                 sideDist.y += deltaDist.y;
-                coarsePos.y += step.y;
+                topPos.y += step.y;
             } else {
                 sideDist.z += deltaDist.z;
-                coarsePos.z += step.z;
+                topPos.z += step.z;
             }
         }
+        
+        // Check window bounds
+        if (any(lessThan(topPos, topMin)) || any(greaterThanEqual(topPos, topMax))) {
+            break;
+        }
+    }
+    
+    return result;
+}
+
+// Main ray trace
+HitResult traceRay(vec3 origin, vec3 direction) {
+    return traceHierarchy(origin, direction, u_maxSteps);
+}
+
+// Shadow ray segment: first voxel along the ray, if any
+HitResult traceShadowSegment(vec3 origin, vec3 direction) {
+    return traceHierarchy(origin, direction, u_shadowSteps);
+}
+
+// Distance along a ray to the far side of a voxel it hit
+float voxelExitDistance(vec3 origin, vec3 direction, vec3 voxelPos) {
+    return intersectAABB(origin, direction, voxelPos, voxelPos + 1.0).y;
+}
+
+// Shadow ray towards a light maxDist away: 1.0 when unoccluded, 0.0 when
+// blocked by an opaque voxel, tinted in between through glass
+vec3 traceShadow(vec3 origin, vec3 direction, float maxDist) {
+    vec3 transmittance = vec3(1.0);
+    vec3 rayOrigin = origin;
+    float travelled = 0.0;
+    
+    for (int layer = 0; layer < MAX_TRANSPARENT_LAYERS; layer++) {
+        HitResult blocker = traceShadowSegment(rayOrigin, direction);
+        if (!blocker.hit || travelled + blocker.distance >= maxDist) break;
+        
+        float transparency = getMaterialProps(blocker.material).w;
+        if (transparency <= 0.0 || layer == MAX_TRANSPARENT_LAYERS - 1) return vec3(0.0);
+        
+        transmittance *= transparency * blocker.color.rgb;
+        float exitDist = voxelExitDistance(rayOrigin, direction, blocker.pos) + 0.001;
+        travelled += exitDist;
+        rayOrigin += direction * exitDist;
+    }
+    
+    return transmittance;
+}
+
+// Per-pixel pseudo-random pair in [0, 1)
+vec2 hash22(vec2 p) {
+    vec3 p3 = fract(vec3(p.xyx) * vec3(0.1031, 0.1030, 0.0973));
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.xx + p3.yz) * p3.zy);
+}
+
+// Jittered point on a disk of the given radius perpendicular to dir,
+// stratified by angle over the sample count
+vec3 diskSample(vec3 dir, float radius, int index, int count) {
+    vec3 tangent = normalize(cross(dir, abs(dir.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0)));
+    vec3 bitangent = cross(dir, tangent);
+    vec2 rnd = hash22(gl_FragCoord.xy + float(index) * vec2(17.0, 59.0) + float(u_frameIndex) * vec2(7.31, 3.17));
+    float angle = (float(index) + rnd.x) / float(count) * 6.2831853;
+    float r = sqrt(rnd.y) * radius;
+    return (tangent * cos(angle) + bitangent * sin(angle)) * r;
+}
+
+// Fraction of a light reaching a point (per channel, through glass). The light
+// lies along lightDir at lightDist; spread is its radius at unit distance.
+// Soft shadows average u_shadowSamples rays over the light's disk. Rays stop
+// half a voxel short so a light placed inside a voxel doesn't shadow itself.
+vec3 lightVisibility(vec3 origin, vec3 lightDir, float lightDist, float spread) {
+    if (u_enableShadows == 0) return vec3(1.0);
+    
+    int samples = spread > 0.0 ? u_shadowSamples : 1;
+    vec3 visibility = vec3(0.0);
+    for (int i = 0; i < MAX_SHADOW_SAMPLES; i++) {
+        if (i >= samples) break;
+        vec3 dir = samples > 1 ? normalize(lightDir + diskSample(lightDir, spread, i, samples)) : lightDir;
+        visibility += traceShadow(origin, dir, lightDist - 0.5);
+    }
+    return visibility / float(samples);
+}
+
+// Occlusion of one face corner from its two edge neighbours and the
+// diagonal one (1 = open, 0 = fully enclosed)
+float cornerAO(bool side1, bool side2, bool corner) {
+    if (side1 && side2) return 0.0;
+    return (3.0 - float(side1) - float(side2) - float(corner)) / 3.0;
+}
+
+// Per-face ambient occlusion at a point on the hit face, interpolated from
+// the occupancy of the voxels around the face in the layer in front of it
+float faceAO(HitResult hit, vec3 hitPoint) {
+    ivec3 normal = ivec3(hit.normal);
+    ivec3 front = ivec3(hit.pos) + normal;
+    
+    // Face tangents: the two axes the normal does not point along
+    ivec3 tu = normal.x != 0 ? ivec3(0, 1, 0) : ivec3(1, 0, 0);
+    ivec3 tv = normal.z != 0 ? ivec3(0, 1, 0) : ivec3(0, 0, 1);
+    vec3 local = clamp(hitPoint - hit.pos, 0.0, 1.0);
+    vec2 uv = vec2(dot(local, vec3(tu)), dot(local, vec3(tv)));
+    
+    bool u0 = isVoxelSolid(front - tu), u1 = isVoxelSolid(front + tu);
+    bool v0 = isVoxelSolid(front - tv), v1 = isVoxelSolid(front + tv);
+    float ao00 = cornerAO(u0, v0, isVoxelSolid(front - tu - tv));
+    float ao10 = cornerAO(u1, v0, isVoxelSolid(front + tu - tv));
+    float ao01 = cornerAO(u0, v1, isVoxelSolid(front - tu + tv));
+    float ao11 = cornerAO(u1, v1, isVoxelSolid(front + tu + tv));
+    
+    float ao = mix(mix(ao00, ao10, uv.x), mix(ao01, ao11, uv.x), uv.y);
+    return mix(1.0, ao, u_aoStrength);
+}
+
+// Light record texel: position + type (slot 0), direction + range (slot 1),
+// color * intensity + casts shadows (slot 2), cos inner/outer angle (slot 3)
+vec4 getLightTexel(int light, int slot) {
+    int texel = light * LIGHT_TEXELS + slot;
+    return texelFetch(u_lightData, ivec2(texel % LIGHT_DATA_WIDTH, texel / LIGHT_DATA_WIDTH), 0);
+}
+
+// One light's diffuse contribution to a surface point
+vec3 shadeLight(int light, HitResult hit, vec3 hitPoint, vec3 shadowOrigin, vec3 diffuseColor) {
+    vec4 positionType = getLightTexel(light, 0);
+    vec4 directionRange = getLightTexel(light, 1);
+    vec4 colorShadows = getLightTexel(light, 2);
+    int type = int(positionType.w);
+    
+    vec3 toLight;
+    float distToLight;
+    float attenuation = 1.0;
+    if (type == LIGHT_DIRECTIONAL) {
+        toLight = -directionRange.xyz;
+        distToLight = 1e30;
+    } else {
+        vec3 delta = positionType.xyz - hitPoint;
+        distToLight = length(delta);
+        float range = directionRange.w;
+        if (distToLight >= range) return vec3(0.0);
+        toLight = delta / distToLight;
+        
+        // Smooth falloff reaching zero at the light's range
+        float falloff = 1.0 - (distToLight * distToLight) / (range * range);
+        attenuation = falloff * falloff;
+        
+        if (type == LIGHT_SPOT) {
+            vec4 cone = getLightTexel(light, 3);
+            attenuation *= smoothstep(cone.y, cone.x, dot(-toLight, directionRange.xyz));
+        }
+    }
+    
+    float diffuse = max(0.0, dot(hit.normal, toLight)) * attenuation;
+    if (diffuse <= 0.0) return vec3(0.0);
+    
+    vec3 visibility = vec3(1.0);
+    if (colorShadows.w > 0.0) {
+        float spread = type == LIGHT_DIRECTIONAL ? tan(u_sunAngularRadius) : u_lightRadius / distToLight;
+        visibility = lightVisibility(shadowOrigin, toLight, distToLight, spread);
+    }
+    return diffuseColor * colorShadows.rgb * diffuse * visibility;
+}
+
+// Lights added with addLight reaching a surface point: every directional light,
+// then the point and spot lights listed for the chunk containing the hit voxel
+vec3 localLights(HitResult hit, vec3 hitPoint, vec3 shadowOrigin, vec3 diffuseColor) {
+    vec3 color = vec3(0.0);
+    
+    for (int i = 0; i < u_directionalLightCount; i++) {
+        color += shadeLight(i, hit, hitPoint, shadowOrigin, diffuseColor);
+    }
+    
+    ivec3 cell = ivec3(floor(hit.pos / float(CHUNK_VOXELS))) - u_windowOrigin;
+    if (any(lessThan(cell, ivec3(0))) || any(greaterThanEqual(cell, ivec3(u_topGridSize)))) return color;
+    
+    uvec2 list = texelFetch(u_lightGrid, cell, 0).rg;
+    for (uint i = 0u; i < list.y; i++) {
+        int entry = int(list.x + i);
+        int light = int(texelFetch(u_lightIndices, ivec2(entry % LIGHT_INDEX_WIDTH, entry / LIGHT_INDEX_WIDTH), 0).r);
+        color += shadeLight(light, hit, hitPoint, shadowOrigin, diffuseColor);
+    }
+    
+    return color;
+}
+
+// ----------------------------------------------------------------------------
+// Sky
+// ----------------------------------------------------------------------------
+
+// Perez sky distribution for (Y, x, y) at view zenith cosine and sun angle gamma
+vec3 perez(float cosTheta, float gamma, float cosGamma) {
+    return (1.0 + u_perezA * exp(u_perezB / max(cosTheta, 0.01))) *
+           (1.0 + u_perezC * exp(u_perezD * gamma) + u_perezE * cosGamma * cosGamma);
+}
+
+// Preetham sky by day fading to a night sky; the ground below the horizon
+// repeats the horizon, darkened
+vec3 atmosphereSky(vec3 dir) {
+    float day = smoothstep(-0.1, 0.1, u_sunDir.y);
+    vec3 color = NIGHT_SKY_COLOR;
+    
+    if (day > 0.0) {
+        // The model holds for suns above the horizon; twilight reuses a horizon sun
+        vec3 sunDir = normalize(vec3(u_sunDir.x, max(u_sunDir.y, 0.0), u_sunDir.z));
+        vec3 viewDir = normalize(vec3(dir.x, max(dir.y, 0.001), dir.z));
+        float cosGamma = clamp(dot(viewDir, sunDir), -1.0, 1.0);
+        vec3 Yxy = u_skyZenith * perez(viewDir.y, acos(cosGamma), cosGamma);
+        
+        // xyY -> XYZ -> linear sRGB, then exposure
+        vec3 XYZ = vec3(Yxy.y / Yxy.z * Yxy.x, Yxy.x, (1.0 - Yxy.y - Yxy.z) / Yxy.z * Yxy.x);
+        vec3 rgb = mat3(3.2406, -0.9689, 0.0557,
+                        -1.5372, 1.8758, -0.2040,
+                        -0.4986, 0.0415, 1.0570) * XYZ;
+        color = mix(color, 1.0 - exp(-max(rgb, 0.0) * SKY_EXPOSURE), day);
+    }
+    
+    if (dir.y < 0.0) color *= mix(1.0, 0.4, smoothstep(0.0, -0.2, dir.y));
+    return color;
+}
+
+// Pseudo-random value in [0, 1) for a lattice point
+float hash31(vec3 p) {
+    p = fract(p * 0.1031);
+    p += dot(p, p.zyx + 31.32);
+    return fract((p.x + p.y) * p.z);
+}
+
+// Sun disk, moon disk and stars seen along a direction (atmosphere sky only)
+vec3 skyObjects(vec3 dir) {
+    vec3 color = vec3(0.0);
+    if (dir.y < 0.0) return color;
+    float night = 1.0 - smoothstep(-0.1, 0.1, u_sunDir.y);
+    
+    float sunEdge = cos(u_sunAngularRadius);
+    color += u_sunColor * 4.0 * smoothstep(sunEdge - 0.00005, sunEdge, dot(dir, u_sunDir));
+    
+    float moonEdge = cos(MOON_ANGULAR_RADIUS);
+    color += vec3(0.8, 0.8, 0.75) * night * smoothstep(moonEdge - 0.00005, moonEdge, dot(dir, -u_sunDir));
+    
+    float star = hash31(floor(dir * 400.0));
+    color += vec3(step(0.9985, star) * night * fract(star * 97.0));
+    return color;
+}
+
+// Sky light arriving from a direction (reflections, path-traced bounces)
+vec3 skyRadiance(vec3 dir) {
+    if (u_skyModel == 0) return mix(u_skyColorBottom, u_skyColorTop, dir.y * 0.5 + 0.5);
+    return atmosphereSky(dir);
+}
+
+// What a camera ray that escapes the world sees; the gradient sky is laid
+// out over the screen, screenY being 0 at the bottom and 1 at the top
+vec3 skyBackground(vec3 dir, float screenY) {
+    if (u_skyModel == 0) return mix(u_skyColorTop, u_skyColorBottom, screenY);
+    return atmosphereSky(dir) + skyObjects(dir);
+}
+
+// Direct lighting of a surface point (sun and added lights) plus its own emission.
+// ao darkens the sun and sky terms.
+vec3 shadeSurface(HitResult hit, vec3 hitPoint, vec3 rayDir, vec4 props, float ao) {
+    vec3 baseColor = hit.color.rgb;
+    
+    // Metals tint their highlights and lose their diffuse term
+    float roughness = props.y;
+    float metalness = props.z;
+    vec3 diffuseColor = baseColor * (1.0 - metalness);
+    vec3 specularColor = mix(vec3(0.04), baseColor, metalness);
+    
+    // Diffuse lighting from sun/moon
+    float diffuse = max(0.3, dot(hit.normal, u_lightDir)) * ao;
+    
+    // Specular highlight, sharper for smooth materials
+    vec3 halfDir = normalize(u_lightDir - rayDir);
+    float shininess = mix(256.0, 4.0, roughness);
+    float specular = pow(max(dot(hit.normal, halfDir), 0.0), shininess) * (1.0 - roughness);
+    
+    // Sun shadow; the darkness leaves some sky light in shadowed areas
+    vec3 shadowOrigin = hitPoint + hit.normal * SHADOW_BIAS;
+    vec3 sunVisibility = lightVisibility(shadowOrigin, u_lightDir, 1e30, tan(u_sunAngularRadius));
+    vec3 shadow = mix(vec3(1.0 - u_shadowDarkness), vec3(1.0), sunVisibility);
+    
+    vec3 color = (diffuseColor * diffuse + specularColor * specular) * u_lightColor * shadow;
+
+    // Metals reflect the sky in place of the diffuse term they lost
+    vec3 reflected = reflect(rayDir, hit.normal);
+    vec3 skyReflection = skyRadiance(reflected);
+    color += specularColor * skyReflection * metalness * mix(1.0, 0.5, roughness) * ao;
+
+    // Added lights
+    color += localLights(hit, hitPoint, shadowOrigin, diffuseColor);
+    
+    // Emissive materials glow regardless of lighting
+    color += baseColor * props.x;
+    
+    return color;
+}
+
+// ----------------------------------------------------------------------------
+// Path tracing
+// ----------------------------------------------------------------------------
+
+uint rngState;
+
+// PCG hash step; uniform float in [0, 1)
+float random() {
+    rngState = rngState * 747796405u + 2891336453u;
+    uint word = ((rngState >> ((rngState >> 28u) + 4u)) ^ rngState) * 277803737u;
+    return float((word >> 22u) ^ word) / 4294967296.0;
+}
+
+// Cosine-weighted direction about a normal
+vec3 cosineSampleHemisphere(vec3 normal) {
+    float angle = random() * 6.2831853;
+    float r = sqrt(random());
+    vec3 tangent = normalize(cross(normal, abs(normal.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0)));
+    vec3 bitangent = cross(normal, tangent);
+    return normalize(tangent * (r * cos(angle)) + bitangent * (r * sin(angle)) + normal * sqrt(1.0 - r * r));
+}
+
+// One path-traced sample: direct sun and added lights at every vertex
+// (next event estimation), emission, and diffuse or specular bounces chosen
+// by metalness and roughness. Glass is passed through with its transparency.
+vec3 tracePath(vec3 origin, vec3 rayDir, vec3 primarySky) {
+    vec3 radiance = vec3(0.0);
+    vec3 throughput = vec3(1.0);
+    float firstDistance = -1.0;
+    
+    for (int bounce = 0; bounce <= MAX_BOUNCES; bounce++) {
+        HitResult hit = traceRay(origin, rayDir);
+        if (!hit.hit) {
+            radiance += throughput * (bounce == 0 ? primarySky : skyRadiance(rayDir));
+            break;
+        }
+        
+        vec3 hitPoint = origin + rayDir * hit.distance;
+        if (bounce == 0) firstDistance = hit.distance;
+        
+        vec4 props = getMaterialProps(hit.material);
+        vec3 baseColor = hit.color.rgb;
+        float roughness = props.y;
+        float metalness = props.z;
+        
+        // Emission
+        radiance += throughput * baseColor * props.x;
+        
+        // Glass: continue straight through, tinted
+        if (random() < props.w) {
+            throughput *= baseColor;
+            origin = hitPoint + rayDir * (voxelExitDistance(hitPoint, rayDir, hit.pos) + 0.001);
+            continue;
+        }
+        
+        // Direct light on the diffuse lobe
+        float specularChance = mix(0.04 * (1.0 - roughness), 1.0, metalness);
+        vec3 diffuseColor = baseColor * (1.0 - specularChance);
+        vec3 shadowOrigin = hitPoint + hit.normal * SHADOW_BIAS;
+        float sunDiffuse = max(0.0, dot(hit.normal, u_lightDir));
+        if (sunDiffuse > 0.0) {
+            radiance += throughput * diffuseColor * u_lightColor * sunDiffuse *
+                lightVisibility(shadowOrigin, u_lightDir, 1e30, tan(u_sunAngularRadius));
+        }
+        radiance += throughput * localLights(hit, hitPoint, shadowOrigin, diffuseColor);
+        
+        if (bounce == u_maxBounces) break;
+        
+        // Indirect bounce
+        if (random() < specularChance) {
+            rayDir = normalize(reflect(rayDir, hit.normal) + roughness * (cosineSampleHemisphere(hit.normal) - hit.normal));
+            if (dot(rayDir, hit.normal) <= 0.0) break;
+            throughput *= mix(vec3(1.0), baseColor, metalness);
+        } else {
+            rayDir = cosineSampleHemisphere(hit.normal);
+            throughput *= baseColor;
+        }
+        origin = shadowOrigin;
+        
+        // Russian roulette once paths have lost most of their energy
+        if (bounce >= 2) {
+            float survival = min(max(throughput.r, max(throughput.g, throughput.b)), 1.0);
+            if (random() >= survival) break;
+            throughput /= survival;
+        }
     }
     
-    return 1.0;
+    // Distance fog on the primary segment
+    if (firstDistance >= 0.0) {
+        float fog = clamp(firstDistance * u_fogDensity / getWorldSize().x, 0.0, 1.0);
+        radiance = mix(radiance, u_fogColor, fog * 0.8);
+    }
+    return radiance;
 }
 
 void main() {
+    vec2 pixel = gl_FragCoord.xy + u_tileOffset;
+    vec2 screenUV = pixel / u_resolution;
+    
+    if (u_pathTrace == 1) {
+        rngState = uint(pixel.x) * 1973u + uint(pixel.y) * 9277u + uint(u_frameIndex) * 26699u;
+        rngState = rngState | 1u;
+        random();
+        
+        // Jitter the primary ray within the pixel for antialiasing
+        vec2 uv = (floor(pixel) + vec2(random(), random())) / u_resolution;
+        float halfHeight = tan(u_fov * 3.14159265 / 360.0);
+        vec2 ndc = uv * 2.0 - 1.0;
+        vec3 dir = normalize(u_cameraDir + u_cameraRight * ndc.x * halfHeight * u_resolution.x / u_resolution.y +
+                             u_cameraUp * ndc.y * halfHeight);
+        vec3 sampleColor = tracePath(u_cameraPos, dir, skyBackground(dir, uv.y));
+        
+        // Running average with the previous samples
+        vec3 previous = texelFetch(u_accumulation, ivec2(gl_FragCoord.xy), 0).rgb;
+        fragColor = vec4(mix(previous, sampleColor, 1.0 / float(u_frameIndex + 1)), 1.0);
+        return;
+    }
+    
     // Calculate ray direction
     float aspectRatio = u_resolution.x / u_resolution.y;
     float fovRad = u_fov * 3.14159265 / 180.0;
     float halfHeight = tan(fovRad / 2.0);
     float halfWidth = aspectRatio * halfHeight;
     
-    vec2 ndc = v_uv * 2.0 - 1.0;
+    vec2 ndc = screenUV * 2.0 - 1.0;
     vec3 rayDir = normalize(u_cameraDir + u_cameraRight * ndc.x * halfWidth + u_cameraUp * ndc.y * halfHeight);
     
     // Trace primary ray
@@ -407,121 +929,293 @@ void main() {
         if (u_showNormals == 1) {
             color = hit.normal * 0.5 + 0.5;
         } else {
-            vec3 baseColor = hit.color.rgb;
-
-            // Diffuse lighting from sun/moon
-            float diffuse = max(0.3, dot(hit.normal, u_lightDir));
-
-            // Shadow
-            float shadow = 1.0;
-            if (u_enableShadows == 1) {
-                vec3 shadowOrigin = hit.pos + hit.normal * 0.5 + vec3(0.5);
-                shadow = traceShadow(shadowOrigin, u_lightDir);
+            // Walk through transparent voxels; each layer adds its lit surface
+            // and tints the light reaching the layers behind it
+            vec3 throughput = vec3(1.0);
+            vec3 origin = u_cameraPos;
+            float travelled = 0.0;
+            HitResult layerHit = hit;
+            color = vec3(0.0);
+            
+            for (int layer = 0; layer < MAX_TRANSPARENT_LAYERS; layer++) {
+                if (!layerHit.hit) {
+                    color += throughput * skyBackground(rayDir, screenUV.y);
+                    break;
+                }
+                
+                vec4 props = getMaterialProps(layerHit.material);
+                vec3 hitPoint = origin + rayDir * layerHit.distance;
+                float ao = u_aoEnabled == 1 ? faceAO(layerHit, hitPoint) : 1.0;
+                vec3 surface = shadeSurface(layerHit, hitPoint, rayDir, props, ao);
+                
+                // Distance fog
+                float fog = clamp((travelled + layerHit.distance) * u_fogDensity / worldSize.x, 0.0, 1.0);
+                surface = mix(surface, u_fogColor, fog * 0.8);
+                
+                // The last layer is treated as opaque
+                float transparency = layer == MAX_TRANSPARENT_LAYERS - 1 ? 0.0 : props.w;
+                color += throughput * surface * (1.0 - transparency);
+                if (transparency <= 0.0) break;
+                
+                throughput *= transparency * layerHit.color.rgb;
+                float exitDist = voxelExitDistance(origin, rayDir, layerHit.pos) + 0.001;
+                travelled += exitDist;
+                origin += rayDir * exitDist;
+                layerHit = traceRay(origin, rayDir);
             }
+        }
+
+        // Outline the targeted voxel (build mode)
+        if (u_highlightEnabled == 1 && all(equal(hit.pos, u_highlightVoxel))) {
+            vec3 local = u_cameraPos + rayDir * hit.distance - hit.pos;
+            vec3 edge = min(local, 1.0 - local) + abs(hit.normal);
+            float edgeDist = min(min(edge.x, edge.y), edge.z);
+            color = mix(color, vec3(1.0), edgeDist < 0.06 ? 0.85 : 0.15);
+        }
+    } else {
+        color = skyBackground(rayDir, screenUV.y);
+    }
+    
+    fragColor = vec4(color, 1.0);
+}
+`;
 
-            color = baseColor * diffuse * shadow;
+// ============================================================================
+// World File Format
+// ============================================================================
 
-            // Lantern/flashlight spotlight
-            if (u_lanternEnabled == 1) {
-                vec3 hitWorldPos = hit.pos + vec3(0.5);
-                vec3 toHit = hitWorldPos - u_lanternPos;
-                float distToHit = length(toHit);
-                vec3 toHitDir = toHit / distToHit;
+// Binary layout (little-endian):
+//   Header:    magic u32 ('VXBM'), version u16, storage u16 (index into WORLD_FILE_STORAGE),
+//              coarseSize u32, brickSize u32, brickCount u32, voxelCount u32
+//   Materials: count u32, then per material: byteLength u16, record bytes   (version 2+)
+//   Window:    flags u32 (WORLD_FILE_STREAMING), windowOrigin i32 × 3 (in chunks)   (version 3+)
+//   Bricks:    coarseIndex u32 (relative to the window origin), byteLength u32, then RLE runs of
+//              [count u16][voxel value] covering every voxel in the brick.
+//              A voxel value is r,g,b,a u8 (rgba), an id u8 (material8) or an id u16 (material16).
+// Version 1 files have no material section and are always RGBA; files before
+// version 3 have no window section and load as fixed worlds at origin 0.
+const WORLD_FILE_MAGIC = 0x4D425856;  // 'VXBM'
+const WORLD_FILE_VERSION = 3;
+const WORLD_FILE_HEADER_SIZE = 24;
+const WORLD_FILE_WINDOW_SIZE = 16;
+const WORLD_FILE_STREAMING = 1;  // Window flag: the world streams chunks
+const WORLD_FILE_STORAGE = ['rgba', 'material8', 'material16'];
 
-                // Spotlight cone angle check
-                float cosAngle = dot(toHitDir, u_lanternDir);
-                float cosConeAngle = cos(u_lanternConeAngle);
-                float cosOuterCone = cos(u_lanternConeAngle * 1.4);
+// Voxel storage modes: RGBA colors, or 8/16-bit material IDs into a material table
+const STORAGE_FORMATS = {
+    rgba:       { channels: 4, ArrayType: Uint8Array,  maxMaterials: 254 },
+    material8:  { channels: 1, ArrayType: Uint8Array,  maxMaterials: 255 },
+    material16: { channels: 1, ArrayType: Uint16Array, maxMaterials: 65535 }
+};
 
-                if (cosAngle > cosOuterCone) {
-                    // Inside the spotlight cone
-                    float spotEffect = smoothstep(cosOuterCone, cosConeAngle, cosAngle);
+// Material table texture width (entries per row; two texels per entry: color, properties)
+const MATERIAL_TABLE_WIDTH = 256;
 
-                    // Distance attenuation
-                    float attenuation = 1.0 / (1.0 + 0.02 * distToHit + 0.001 * distToHit * distToHit);
+// Emissive strength stored as a byte scaled to this range
+const MATERIAL_MAX_EMISSIVE = 8;
 
-                    // Diffuse from lantern direction
-                    float lanternDiffuse = max(0.0, dot(hit.normal, -toHitDir));
+// Properties of a plain diffuse material
+const DEFAULT_MATERIAL = { emissive: 0, roughness: 1, metalness: 0, transparency: 0 };
 
-                    // Warm lantern color
-                    vec3 lanternColor = vec3(1.0, 0.85, 0.6) * u_lanternIntensity;
+// Atmosphere sky: exposure applied to the Preetham luminance, and the night sky
+const SKY_EXPOSURE = 0.06;
+const NIGHT_SKY_COLOR = [0.01, 0.015, 0.04];
+const MOONLIGHT_COLOR = [0.12, 0.14, 0.22];
 
-                    // Add lantern contribution
-                    color += baseColor * lanternColor * lanternDiffuse * spotEffect * attenuation;
-                }
-            }
+// Light types as stored in the light data texture
+const LIGHT_TYPES = { point: 0, spot: 1, directional: 2 };
 
-            // Orb lights - directional spotlights
-            vec3 hitWorldPos = hit.pos + vec3(0.5);
-            for (int i = 0; i < 16; i++) {
-                if (i >= u_numOrbLights) break;
+// Light data texture: texels per light and texels per row
+const LIGHT_TEXELS = 4;
+const LIGHT_DATA_WIDTH = 1024;
 
-                vec3 toHit = hitWorldPos - u_orbPositions[i];
-                float distToHit = length(toHit);
-                vec3 toHitDir = toHit / distToHit;
+// Light index texture entries per row (per-chunk light lists)
+const LIGHT_INDEX_WIDTH = 4096;
 
-                // Spotlight cone (60 degree cone)
-                float cosAngle = dot(toHitDir, u_orbDirections[i]);
-                float cosConeAngle = cos(0.52);  // ~30 degrees half-angle
-                float cosOuterCone = cos(0.78);  // ~45 degrees outer
+// Options of a light created with VoxelEngine.addLight. Angles are half-angles
+// in radians; direction is the way the light travels (spot and directional).
+const DEFAULT_LIGHT = {
+    type: 'point',
+    position: [0, 0, 0],
+    direction: [0, -1, 0],
+    color: [1, 1, 1],
+    intensity: 1,
+    range: 32,  // voxels; point and spot lights fade to nothing at this distance
+    innerAngle: 0.5,
+    outerAngle: 0.8,
+    castShadows: true
+};
 
-                // Spotlight factor with soft falloff
-                float spotEffect = smoothstep(cosOuterCone, cosConeAngle, cosAngle);
+// Offscreen stills render in tiles of at most this size (or the GPU limit),
+// keeping each draw well under driver timeouts
+const OFFSCREEN_TILE_SIZE = 2048;
 
-                // Also add some ambient glow (omnidirectional)
-                float ambientGlow = 0.3;
+// Path-traced samples per pixel of an offscreen still unless asked for more;
+// every sample is a synchronous full-tile draw
+const OFFSCREEN_DEFAULT_SAMPLES = 16;
 
-                // Distance attenuation
-                float attenuation = 1.0 / (1.0 + 0.03 * distToHit + 0.002 * distToHit * distToHit);
+// Fragment shader constants the CPU renderer mirrors
+const SHADOW_BIAS = 0.01;
+const MAX_TRANSPARENT_LAYERS = 4;
+const MOON_ANGULAR_RADIUS = 0.03;
 
-                // Diffuse lighting
-                float orbDiffuse = max(0.0, dot(hit.normal, -toHitDir));
+// Frame profiler: frames of history per scope, and GPU frames left unresolved
+// before new frames go untimed
+const PROFILER_HISTORY = 120;
+const PROFILER_MAX_PENDING = 8;
 
-                // Combined spot + ambient contribution
-                float lightFactor = (spotEffect * 0.7 + ambientGlow) * orbDiffuse * attenuation;
+// Brick atlas layer size (bricks per X/Y axis) before the layer widens to the GPU limit
+const ATLAS_LAYER_BRICKS = 32;
 
-                // Add orb light contribution
-                color += baseColor * u_orbColors[i] * u_orbIntensity * lightFactor;
-            }
+// Coarse cells per chunk axis. The top grid stores one chunk index per
+// CHUNK_SIZE³ coarse cells; only chunks containing bricks are allocated.
+const CHUNK_SIZE = 8;
 
-            // Distance fog
-            float fog = clamp(hit.distance * u_fogDensity / worldSize.x, 0.0, 1.0);
-            vec3 fogColor = mix(u_skyColorTop, u_skyColorBottom, 0.5);
+// Non-negative remainder (coordinates may be negative in a streaming world)
+function mod(a, n) {
+    return ((a % n) + n) % n;
+}
 
-            color = mix(color, fogColor, fog * 0.8);
-        }
-    } else {
-        color = mix(u_skyColorTop, u_skyColorBottom, v_uv.y);
-    }
-    
-    fragColor = vec4(color, 1.0);
+// GLSL smoothstep
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
 }
-`;
 
 // ============================================================================
-// Camera Class
+// Region Shapes (bulk editing)
 // ============================================================================
 
-class Camera {
-    constructor() {
-        this.position = [0, 0, 0];
-        this.yaw = 0;
-        this.pitch = 0;
-        this.fov = 70;
-        this.moveSpeed = 30;
-        this.lookSpeed = 0.002;
+// How a voxel box relates to a shape (see classify)
+const SHAPE_OUTSIDE = 0;
+const SHAPE_INSIDE = 1;
+const SHAPE_PARTIAL = 2;
+
+// A voxel belongs to a shape when its center (x + 0.5, ...) does. Shapes have
+// integer voxel bounds [min, max) and classify whole boxes so bulk edits can
+// fill, clear or skip entire bricks without testing each voxel.
+class BoxShape {
+    constructor(min, max) {
+        this.min = min.map(Math.floor);
+        this.max = max.map(Math.floor);
     }
-    
-    setPosition(x, y, z) {
-        this.position = [x, y, z];
+
+    contains(x, y, z) {
+        return x >= this.min[0] && x < this.max[0] &&
+               y >= this.min[1] && y < this.max[1] &&
+               z >= this.min[2] && z < this.max[2];
     }
-    
-    getDirection() {
-        return [
-            Math.cos(this.pitch) * Math.sin(this.yaw),
-            Math.sin(this.pitch),
-            Math.cos(this.pitch) * Math.cos(this.yaw)
-        ];
+
+    classify(min, max) {
+        let inside = true;
+        for (let a = 0; a < 3; a++) {
+            if (max[a] <= this.min[a] || min[a] >= this.max[a]) return SHAPE_OUTSIDE;
+            if (min[a] < this.min[a] || max[a] > this.max[a]) inside = false;
+        }
+        return inside ? SHAPE_INSIDE : SHAPE_PARTIAL;
+    }
+}
+
+class SphereShape {
+    constructor(center, radius) {
+        this.center = center.slice();
+        this.radius = radius;
+        this.min = center.map(c => Math.ceil(c - radius - 0.5));
+        this.max = center.map(c => Math.floor(c + radius - 0.5) + 1);
+    }
+
+    contains(x, y, z) {
+        const dx = x + 0.5 - this.center[0];
+        const dy = y + 0.5 - this.center[1];
+        const dz = z + 0.5 - this.center[2];
+        return dx * dx + dy * dy + dz * dz <= this.radius * this.radius;
+    }
+
+    classify(min, max) {
+        return classifyRadial(this.center, this.radius, [0, 1, 2], min, max);
+    }
+}
+
+// Cylinder standing on `base` (center of its bottom face) along `axis`
+class CylinderShape {
+    constructor(base, radius, height, axis = 'y') {
+        this.axis = 'xyz'.indexOf(axis);
+        if (this.axis < 0) {
+            throw new Error(`Unknown cylinder axis: ${axis}`);
+        }
+        this.base = base.slice();
+        this.radius = radius;
+        this.height = height;
+        this.radialAxes = [0, 1, 2].filter(a => a !== this.axis);
+
+        this.min = base.map(c => Math.ceil(c - radius - 0.5));
+        this.max = base.map(c => Math.floor(c + radius - 0.5) + 1);
+        this.min[this.axis] = Math.ceil(base[this.axis] - 0.5);
+        this.max[this.axis] = Math.floor(base[this.axis] + height - 0.5) + 1;
+    }
+
+    contains(x, y, z) {
+        const p = [x + 0.5, y + 0.5, z + 0.5];
+        const h = p[this.axis] - this.base[this.axis];
+        if (h < 0 || h > this.height) return false;
+
+        const [a, b] = this.radialAxes;
+        const da = p[a] - this.base[a], db = p[b] - this.base[b];
+        return da * da + db * db <= this.radius * this.radius;
+    }
+
+    classify(min, max) {
+        // Voxel centers span [min + 0.5, max - 0.5] along the axis
+        const lo = min[this.axis] + 0.5 - this.base[this.axis];
+        const hi = max[this.axis] - 0.5 - this.base[this.axis];
+        if (hi < 0 || lo > this.height) return SHAPE_OUTSIDE;
+
+        const radial = classifyRadial(this.base, this.radius, this.radialAxes, min, max);
+        if (radial !== SHAPE_INSIDE) return radial;
+        return lo >= 0 && hi <= this.height ? SHAPE_INSIDE : SHAPE_PARTIAL;
+    }
+}
+
+// Classify a voxel box against a ball around `center` over the given axes,
+// using the nearest and farthest voxel centers in the box
+function classifyRadial(center, radius, axes, min, max) {
+    let near = 0, far = 0;
+    for (const a of axes) {
+        const lo = min[a] + 0.5 - center[a];
+        const hi = max[a] - 0.5 - center[a];
+        const nearest = lo > 0 ? lo : (hi < 0 ? hi : 0);
+        near += nearest * nearest;
+        far += Math.max(lo * lo, hi * hi);
+    }
+    const r2 = radius * radius;
+    if (near > r2) return SHAPE_OUTSIDE;
+    return far <= r2 ? SHAPE_INSIDE : SHAPE_PARTIAL;
+}
+
+// ============================================================================
+// Camera Class
+// ============================================================================
+
+class Camera {
+    constructor() {
+        this.position = [0, 0, 0];
+        this.yaw = 0;
+        this.pitch = 0;
+        this.fov = 70;
+        this.moveSpeed = 30;
+        this.lookSpeed = 0.002;
+    }
+    
+    setPosition(x, y, z) {
+        this.position = [x, y, z];
+    }
+    
+    getDirection() {
+        return [
+            Math.cos(this.pitch) * Math.sin(this.yaw),
+            Math.sin(this.pitch),
+            Math.cos(this.pitch) * Math.cos(this.yaw)
+        ];
     }
     
     getRight() {
@@ -560,6 +1254,293 @@ class Camera {
         this.pitch -= deltaPitch;
         this.pitch = Math.max(-Math.PI/2 + 0.01, Math.min(Math.PI/2 - 0.01, this.pitch));
     }
+    
+    // Changes whenever the view changes (position, orientation or FOV)
+    getStateKey() {
+        return `${this.position.join()},${this.yaw},${this.pitch},${this.fov}`;
+    }
+}
+
+// ============================================================================
+// Camera Path (keyframe recording and spline playback)
+// ============================================================================
+
+// Camera path file format version (see CameraPath.toJSON)
+const CAMERA_PATH_VERSION = 1;
+
+// Arc-length samples per spline segment for constant-speed playback
+const CAMERA_PATH_SAMPLES = 32;
+
+// Keyframes {position, yaw, pitch, fov} joined by a centripetal Catmull-Rom
+// spline through all six values. Distances along the path are in voxels, with
+// turning counted as turnDistance voxels per radian (fov too, in radians), so
+// constant-speed playback also takes time over turns made in place.
+class CameraPath {
+    constructor(keyframes = [], options = {}) {
+        this.turnDistance = options.turnDistance !== undefined ? options.turnDistance : 16;
+        if (!Number.isFinite(this.turnDistance) || this.turnDistance < 0) {
+            throw new Error(`Invalid camera path turn distance: ${this.turnDistance}`);
+        }
+        this.keyframes = [];
+        this.points = [];  // Per keyframe: [x, y, z, yaw, pitch, fov], yaw unwrapped
+        this.table = [];  // Arc-length samples { param: segment + u, distance }
+        this.length = 0;
+        keyframes.forEach(keyframe => this.addKeyframe(keyframe));
+    }
+    
+    // Append a keyframe from a Camera or a {position, yaw, pitch, fov} object
+    addKeyframe(keyframe) {
+        const { position, yaw, pitch, fov } = keyframe;
+        if (!Array.isArray(position) || position.length !== 3 ||
+            ![...position, yaw, pitch, fov].every(Number.isFinite)) {
+            throw new Error('Invalid camera keyframe');
+        }
+        this.keyframes.push({ position: position.slice(), yaw, pitch, fov });
+        this._build();
+        return this.keyframes.length - 1;
+    }
+    
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+        this._build();
+    }
+    
+    clear() {
+        this.keyframes = [];
+        this._build();
+    }
+    
+    // Seconds to play the whole path at a speed in voxels per second
+    getDuration(speed) {
+        return this.length / speed;
+    }
+    
+    // Pose at a distance along the path (clamped to its ends)
+    sample(distance) {
+        const count = this.keyframes.length;
+        if (count === 0) throw new Error('Camera path has no keyframes');
+        if (count === 1 || this.length === 0) return this._pose(this.points[0]);
+        
+        // Binary search the arc-length table, then interpolate the spline parameter
+        const table = this.table;
+        const d = Math.min(Math.max(distance, 0), this.length);
+        let lo = 0, hi = table.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (table[mid].distance <= d) lo = mid; else hi = mid;
+        }
+        const a = table[lo], b = table[hi];
+        const f = b.distance > a.distance ? (d - a.distance) / (b.distance - a.distance) : 0;
+        const param = a.param + (b.param - a.param) * f;
+        const segment = Math.min(Math.floor(param), count - 2);
+        return this._pose(this._evaluate(segment, param - segment));
+    }
+    
+    // Move a camera to the pose at a distance along the path
+    apply(camera, distance) {
+        const pose = this.sample(distance);
+        camera.position = pose.position;
+        camera.yaw = pose.yaw;
+        camera.pitch = pose.pitch;
+        camera.fov = pose.fov;
+    }
+    
+    toJSON() {
+        return { version: CAMERA_PATH_VERSION, turnDistance: this.turnDistance, keyframes: this.keyframes };
+    }
+    
+    // Parse a path saved with toJSON (an object or a JSON string)
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || !Array.isArray(data.keyframes)) {
+            throw new Error('Invalid camera path');
+        }
+        if (data.version > CAMERA_PATH_VERSION) {
+            throw new Error(`Unsupported camera path version: ${data.version}`);
+        }
+        return new CameraPath(data.keyframes, { turnDistance: data.turnDistance });
+    }
+    
+    _pose(point) {
+        return { position: point.slice(0, 3), yaw: point[3], pitch: point[4], fov: point[5] };
+    }
+    
+    // Path-space distance between two points
+    _distance(a, b) {
+        const k = this.turnDistance;
+        return Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2],
+            (b[3] - a[3]) * k, (b[4] - a[4]) * k, (b[5] - a[5]) * Math.PI / 180 * k);
+    }
+    
+    // Rebuild the spline points and the arc-length table
+    _build() {
+        this.points = [];
+        for (const { position, yaw, pitch, fov } of this.keyframes) {
+            // Take the yaw closest to the previous one so turns go the short way
+            const previous = this.points.length > 0 ? this.points[this.points.length - 1][3] : yaw;
+            const unwrapped = yaw - Math.round((yaw - previous) / (Math.PI * 2)) * Math.PI * 2;
+            this.points.push([...position, unwrapped, pitch, fov]);
+        }
+        
+        this.table = [{ param: 0, distance: 0 }];
+        this.length = 0;
+        for (let segment = 0; segment < this.points.length - 1; segment++) {
+            let previous = this.points[segment];
+            for (let i = 1; i <= CAMERA_PATH_SAMPLES; i++) {
+                const u = i / CAMERA_PATH_SAMPLES;
+                const point = this._evaluate(segment, u);
+                this.length += this._distance(previous, point);
+                this.table.push({ param: segment + u, distance: this.length });
+                previous = point;
+            }
+        }
+    }
+    
+    // Centripetal Catmull-Rom (Barry-Goldman) between points[segment] and
+    // points[segment + 1]; the ends are extended by reflection
+    _evaluate(segment, u) {
+        const pts = this.points;
+        const last = pts.length - 1;
+        const p1 = pts[segment];
+        const p2 = pts[segment + 1];
+        const p0 = segment > 0 ? pts[segment - 1] : p1.map((c, i) => 2 * c - p2[i]);
+        const p3 = segment + 1 < last ? pts[segment + 2] : p2.map((c, i) => 2 * c - p1[i]);
+        
+        const knot = (a, b) => Math.sqrt(Math.max(this._distance(a, b), 1e-6));
+        const t0 = 0;
+        const t1 = t0 + knot(p0, p1);
+        const t2 = t1 + knot(p1, p2);
+        const t3 = t2 + knot(p2, p3);
+        const t = t1 + (t2 - t1) * u;
+        
+        const lerp = (a, b, ta, tb) => a.map((c, i) => ((tb - t) * c + (t - ta) * b[i]) / (tb - ta));
+        const a1 = lerp(p0, p1, t0, t1);
+        const a2 = lerp(p1, p2, t1, t2);
+        const a3 = lerp(p2, p3, t2, t3);
+        const b1 = lerp(a1, a2, t0, t2);
+        const b2 = lerp(a2, a3, t1, t3);
+        return lerp(b1, b2, t1, t2);
+    }
+}
+
+// ============================================================================
+// Sky Model
+// ============================================================================
+
+// Direction towards the sun at a time of day (hours, 0-24): rising in the east
+// (+X) at 6, highest at 12 on a path tilted towards +Z, setting at 18
+function sunDirectionAt(timeOfDay, tilt = 0.4) {
+    const angle = (timeOfDay - 6) / 24 * Math.PI * 2;
+    return [Math.cos(angle), Math.sin(angle) * Math.cos(tilt), Math.sin(angle) * Math.sin(tilt)];
+}
+
+// Sunlight color after passing through the atmosphere (Kasten-Young air mass)
+function sunColorAt(sunDirection) {
+    const elevation = Math.max(sunDirection[1], 0);
+    const zenithDeg = Math.acos(elevation) * 180 / Math.PI;
+    const airMass = 1 / (elevation + 0.50572 * Math.pow(96.07995 - zenithDeg, -1.6364));
+    return [0.06, 0.12, 0.26].map(k => Math.exp(-k * airMass));
+}
+
+// Preetham et al. (1999) sky coefficients for a sun direction and turbidity:
+// Perez A-E for (Y, x, y) and the zenith (Y, x, y) divided by F(0, sun zenith)
+function preethamSky(sunDirection, turbidity) {
+    const T = turbidity;
+    const thetaS = Math.acos(Math.min(1, Math.max(sunDirection[1], 0)));
+    
+    const A = [0.1787 * T - 1.4630, -0.0193 * T - 0.2592, -0.0167 * T - 0.2608];
+    const B = [-0.3554 * T + 0.4275, -0.0665 * T + 0.0008, -0.0950 * T + 0.0092];
+    const C = [-0.0227 * T + 5.3251, -0.0004 * T + 0.2125, -0.0079 * T + 0.2102];
+    const D = [0.1206 * T - 2.5771, -0.0641 * T - 0.8989, -0.0441 * T - 1.6537];
+    const E = [-0.0670 * T + 0.3703, -0.0033 * T + 0.0452, -0.0109 * T + 0.0529];
+    
+    const chi = (4 / 9 - T / 120) * (Math.PI - 2 * thetaS);
+    const t2 = thetaS * thetaS, t3 = t2 * thetaS;
+    const zenith = [
+        (4.0453 * T - 4.9710) * Math.tan(chi) - 0.2155 * T + 2.4192,
+        T * T * (0.00166 * t3 - 0.00375 * t2 + 0.00209 * thetaS) +
+            T * (-0.02903 * t3 + 0.06377 * t2 - 0.03202 * thetaS + 0.00394) +
+            (0.11693 * t3 - 0.21196 * t2 + 0.06052 * thetaS + 0.25886),
+        T * T * (0.00275 * t3 - 0.00610 * t2 + 0.00317 * thetaS) +
+            T * (-0.04214 * t3 + 0.08970 * t2 - 0.04153 * thetaS + 0.00516) +
+            (0.15346 * t3 - 0.26756 * t2 + 0.06670 * thetaS + 0.26688)
+    ];
+    
+    const cosS = Math.cos(thetaS);
+    const normalized = zenith.map((z, i) =>
+        z / ((1 + A[i] * Math.exp(B[i])) * (1 + C[i] * Math.exp(D[i] * thetaS) + E[i] * cosS * cosS)));
+    return { A, B, C, D, E, zenith: normalized };
+}
+
+// CPU version of the shader's atmosphereSky(): linear RGB seen along dir
+function atmosphereSkyColor(dir, sunDirection, coefficients) {
+    const day = smoothstep(-0.1, 0.1, sunDirection[1]);
+    let color = NIGHT_SKY_COLOR.slice();
+    
+    if (day > 0) {
+        const normalize = v => { const l = Math.hypot(v[0], v[1], v[2]); return v.map(c => c / l); };
+        const sun = normalize([sunDirection[0], Math.max(sunDirection[1], 0), sunDirection[2]]);
+        const view = normalize([dir[0], Math.max(dir[1], 0.001), dir[2]]);
+        const cosGamma = Math.min(1, Math.max(-1, view[0] * sun[0] + view[1] * sun[1] + view[2] * sun[2]));
+        const gamma = Math.acos(cosGamma);
+        const { A, B, C, D, E, zenith } = coefficients;
+        const [Y, x, y] = zenith.map((z, i) => z *
+            (1 + A[i] * Math.exp(B[i] / Math.max(view[1], 0.01))) *
+            (1 + C[i] * Math.exp(D[i] * gamma) + E[i] * cosGamma * cosGamma));
+        
+        const X = x / y * Y, Z = (1 - x - y) / y * Y;
+        const rgb = [
+            3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+            -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+            0.0557 * X - 0.2040 * Y + 1.0570 * Z
+        ];
+        color = color.map((c, i) => c + (1 - Math.exp(-Math.max(rgb[i], 0) * SKY_EXPOSURE) - c) * day);
+    }
+    
+    if (dir[1] < 0) {
+        const darken = 1 + (0.4 - 1) * smoothstep(0, -0.2, dir[1]);
+        color = color.map(c => c * darken);
+    }
+    return color;
+}
+
+// ============================================================================
+// Light Class
+// ============================================================================
+
+// Handle returned by VoxelEngine.addLight; update() and remove() apply on the next render
+class Light {
+    constructor(engine, id, options) {
+        this.engine = engine;
+        this.id = id;
+        Object.assign(this, DEFAULT_LIGHT, {
+            position: DEFAULT_LIGHT.position.slice(),
+            direction: DEFAULT_LIGHT.direction.slice(),
+            color: DEFAULT_LIGHT.color.slice()
+        });
+        this.update(options);
+    }
+    
+    update(options = {}) {
+        for (const key of Object.keys(options)) {
+            if (!(key in DEFAULT_LIGHT)) {
+                throw new Error(`Unknown light option: ${key}`);
+            }
+        }
+        if (options.type !== undefined && !(options.type in LIGHT_TYPES)) {
+            throw new Error(`Unknown light type: ${options.type}`);
+        }
+        
+        for (const [key, value] of Object.entries(options)) {
+            this[key] = Array.isArray(value) ? value.slice() : value;
+        }
+        this.engine.lightsDirty = true;
+        return this;
+    }
+    
+    remove() {
+        this.engine.removeLight(this);
+    }
 }
 
 // ============================================================================
@@ -567,40 +1548,182 @@ class Camera {
 // ============================================================================
 
 class BrickMapWorld {
-    constructor(coarseSize, brickSize = 8) {
+    constructor(coarseSize, brickSize = 8, options = {}) {
         this.coarseSize = coarseSize;  // e.g., 64 for 64³ coarse grid
         this.brickSize = brickSize;     // 8 for 8³ bricks
         this.worldSize = coarseSize * brickSize;  // Effective voxel resolution
         
-        // Coarse grid: stores brick indices (0 = empty, 1+ = brick index)
-        this.coarseGrid = new Uint32Array(coarseSize * coarseSize * coarseSize);
+        // Voxel storage: 'rgba' (4 bytes/voxel) or 'material8' / 'material16' (IDs)
+        this.storage = options.storage || 'rgba';
+        const format = STORAGE_FORMATS[this.storage];
+        if (!format) {
+            throw new Error(`Unknown storage mode: ${this.storage}`);
+        }
+        this.channels = format.channels;
+        this.BrickArray = format.ArrayType;
+        this.bytesPerVoxel = format.channels * format.ArrayType.BYTES_PER_ELEMENT;
+        
+        // Material table: id → { color, emissive, roughness, metalness, transparency } (0 = empty)
+        // In RGBA mode a voxel's alpha selects its material (255 = plain diffuse)
+        this.maxMaterials = format.maxMaterials;
+        this.materials = [null];
+        this.materialIds = new Map();  // Packed RGB → plain material id
+        this.materialKeys = new Map();  // Full definition → material id
+        this.materialsDirty = true;
+        
+        // Sparse coarse grid: a small dense top grid of chunk indices (0 = empty,
+        // 1+ = chunk index), each chunk holding the brick indices (0 = empty,
+        // 1+ = brick index) of CHUNK_SIZE³ coarse cells. Memory scales with the
+        // occupied chunks rather than coarseSize³.
+        this.topSize = Math.ceil(coarseSize / CHUNK_SIZE);
+        this.topGrid = new Uint32Array(this.topSize * this.topSize * this.topSize);
+        this.chunks = new Map();  // Map<chunkIndex, Uint32Array> (CHUNK_SIZE³ brick indices)
+        this.nextChunkIndex = 1;
+        this.freeChunkIndices = [];  // Indices (pool slots) released by emptied chunks
         
         // Brick storage
-        this.bricks = new Map();  // Map<brickIndex, Uint8Array>
+        this.bricks = new Map();  // Map<brickIndex, Uint8Array | Uint16Array>
         this.nextBrickIndex = 1;
+        this.freeBrickIndices = [];  // Indices (atlas slots) released by emptied bricks
         
         // Dirty tracking for incremental uploads
         this.dirtyBricks = new Set();  // Brick indices that need uploading
-        this.coarseGridDirty = false;  // Whether coarse grid needs uploading
+        this.dirtyChunks = new Set();  // Chunk indices that need uploading
+        this.topGridDirty = false;     // Whether the top grid needs uploading
+        
+        // Undo history: edits inside beginEdit()/endEdit() record before/after
+        // snapshots of the bricks they touch; the oldest steps are dropped once
+        // the history exceeds historyBudget bytes
+        this.historyBudget = options.historyBudget !== undefined ? options.historyBudget : 32 * 1024 * 1024;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyBytes = 0;
+        this.transaction = null;  // Open edit: { label, depth, bricks, materials }
         
-        // Atlas configuration
-        // For large worlds (4096³), we need more brick capacity
-        // 96³ = 884,736 bricks, texture = 768³ (~1.8GB VRAM)
-        this.atlasSize = 96;
+        // Atlas configuration (in bricks, non-cubic)
+        // Sized on demand to the brick count and clamped to the GPU's
+        // MAX_3D_TEXTURE_SIZE; grows by stacking Z layers when possible
+        this.atlasDims = [0, 0, 0];
+        this.maxAtlasDims = [256, 256, 256];  // Set from GL limits by VoxelEngine
         this.brickAtlasData = null;
         
+        // Chunk pool configuration (in chunks), sized like the atlas
+        this.chunkPoolDims = [0, 0, 0];
+        this.maxChunkPoolDims = [256, 256, 256];  // Set from GL limits by VoxelEngine
+        
+        // Streaming window: the world covers topSize³ chunks starting at
+        // windowOrigin (in chunks), addressed toroidally in the top grid so the
+        // window can slide without moving resident chunks. A fixed world keeps
+        // the origin at 0; a streaming one follows the camera (updateStreaming)
+        // and fills entering chunks via chunkProvider(world, cx, cy, cz).
+        this.chunkVoxels = CHUNK_SIZE * brickSize;  // Voxels per chunk axis
+        this.streaming = !!options.streaming;
+        this.windowOrigin = [0, 0, 0];
+        this.chunkProvider = options.chunkProvider || null;
+        this.onChunkEvict = options.onChunkEvict || null;  // Called before a chunk is dropped
+        this.pendingChunks = this.streaming ? this._chunksInWindow(this.windowOrigin) : [];
+        
         // Stats
         this.voxelCount = 0;
         this.brickCount = 0;
     }
     
+    // Index of a coarse cell relative to the window origin (-1 if outside)
     _getCoarseIndex(cx, cy, cz) {
-        if (cx < 0 || cx >= this.coarseSize || 
-            cy < 0 || cy >= this.coarseSize || 
-            cz < 0 || cz >= this.coarseSize) {
+        const N = this.coarseSize;
+        const rx = cx - this.windowOrigin[0] * CHUNK_SIZE;
+        const ry = cy - this.windowOrigin[1] * CHUNK_SIZE;
+        const rz = cz - this.windowOrigin[2] * CHUNK_SIZE;
+        if (rx < 0 || rx >= N || 
+            ry < 0 || ry >= N || 
+            rz < 0 || rz >= N) {
             return -1;
         }
-        return cx + cy * this.coarseSize + cz * this.coarseSize * this.coarseSize;
+        return rx + ry * N + rz * N * N;
+    }
+    
+    // Whether a voxel lies inside the current window
+    _isInWindow(x, y, z) {
+        const n = this.chunkVoxels;
+        const rx = x - this.windowOrigin[0] * n;
+        const ry = y - this.windowOrigin[1] * n;
+        const rz = z - this.windowOrigin[2] * n;
+        return rx >= 0 && rx < this.worldSize &&
+               ry >= 0 && ry < this.worldSize &&
+               rz >= 0 && rz < this.worldSize;
+    }
+    
+    // Top grid slot of a chunk position (wraps toroidally)
+    _getTopIndex(tx, ty, tz) {
+        const T = this.topSize;
+        return mod(tx, T) + mod(ty, T) * T + mod(tz, T) * T * T;
+    }
+    
+    _getChunkCellIndex(cx, cy, cz) {
+        return mod(cx, CHUNK_SIZE) + mod(cy, CHUNK_SIZE) * CHUNK_SIZE + mod(cz, CHUNK_SIZE) * CHUNK_SIZE * CHUNK_SIZE;
+    }
+    
+    // Chunk position held by a top grid slot under the current window origin
+    _getSlotChunk(topIdx) {
+        const T = this.topSize;
+        const slot = [topIdx % T, Math.floor(topIdx / T) % T, Math.floor(topIdx / (T * T))];
+        return slot.map((s, a) => this.windowOrigin[a] + mod(s - this.windowOrigin[a], T));
+    }
+    
+    // Brick index of a coarse cell (0 = empty or out of bounds)
+    _getBrickIndex(cx, cy, cz) {
+        if (this._getCoarseIndex(cx, cy, cz) < 0) return 0;
+        const topIdx = this._getTopIndex(
+            Math.floor(cx / CHUNK_SIZE), Math.floor(cy / CHUNK_SIZE), Math.floor(cz / CHUNK_SIZE));
+        const chunk = this.chunks.get(this.topGrid[topIdx]);
+        return chunk ? chunk[this._getChunkCellIndex(cx, cy, cz)] : 0;
+    }
+    
+    // Store a coarse cell's brick index, allocating its chunk on first use
+    // and releasing the chunk once its last brick is gone
+    _setBrickIndex(cx, cy, cz, brickIndex) {
+        const topIdx = this._getTopIndex(
+            Math.floor(cx / CHUNK_SIZE), Math.floor(cy / CHUNK_SIZE), Math.floor(cz / CHUNK_SIZE));
+        let chunkIndex = this.topGrid[topIdx];
+        
+        if (chunkIndex === 0) {
+            if (brickIndex === 0) return;
+            chunkIndex = this.freeChunkIndices.length > 0 ? this.freeChunkIndices.pop() : this.nextChunkIndex++;
+            this.topGrid[topIdx] = chunkIndex;
+            this.chunks.set(chunkIndex, new Uint32Array(CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE));
+            this.topGridDirty = true;
+        }
+        
+        const chunk = this.chunks.get(chunkIndex);
+        chunk[this._getChunkCellIndex(cx, cy, cz)] = brickIndex;
+        this.dirtyChunks.add(chunkIndex);
+        
+        if (brickIndex === 0 && chunk.every(index => index === 0)) {
+            this.topGrid[topIdx] = 0;
+            this.topGridDirty = true;
+            this.chunks.delete(chunkIndex);
+            this.dirtyChunks.delete(chunkIndex);
+            this.freeChunkIndices.push(chunkIndex);
+        }
+    }
+    
+    // Visit every allocated brick as (cx, cy, cz, brickIndex), chunk by chunk
+    _forEachBrick(callback) {
+        for (let topIdx = 0; topIdx < this.topGrid.length; topIdx++) {
+            const chunk = this.chunks.get(this.topGrid[topIdx]);
+            if (!chunk) continue;
+            
+            const [baseX, baseY, baseZ] = this._getSlotChunk(topIdx).map(c => c * CHUNK_SIZE);
+            for (let cell = 0; cell < chunk.length; cell++) {
+                if (chunk[cell] === 0) continue;
+                callback(
+                    baseX + cell % CHUNK_SIZE,
+                    baseY + Math.floor(cell / CHUNK_SIZE) % CHUNK_SIZE,
+                    baseZ + Math.floor(cell / (CHUNK_SIZE * CHUNK_SIZE)),
+                    chunk[cell]
+                );
+            }
+        }
     }
     
     _worldToCoarse(x, y, z) {
@@ -613,30 +1736,28 @@ class BrickMapWorld {
     
     _worldToLocal(x, y, z) {
         return [
-            x % this.brickSize,
-            y % this.brickSize,
-            z % this.brickSize
+            mod(x, this.brickSize),
+            mod(y, this.brickSize),
+            mod(z, this.brickSize)
         ];
     }
     
     _getBrickLocalIndex(lx, ly, lz) {
-        return (lx + ly * this.brickSize + lz * this.brickSize * this.brickSize) * 4;
+        return (lx + ly * this.brickSize + lz * this.brickSize * this.brickSize) * this.channels;
     }
     
     _getOrCreateBrick(cx, cy, cz) {
-        const coarseIdx = this._getCoarseIndex(cx, cy, cz);
-        if (coarseIdx < 0) return null;
+        if (this._getCoarseIndex(cx, cy, cz) < 0) return null;
         
-        let brickIndex = this.coarseGrid[coarseIdx];
+        let brickIndex = this._getBrickIndex(cx, cy, cz);
         
         if (brickIndex === 0) {
-            // Create new brick
-            brickIndex = this.nextBrickIndex++;
-            this.coarseGrid[coarseIdx] = brickIndex;
-            this.coarseGridDirty = true;  // Mark coarse grid as needing upload
+            // Create new brick, reusing a freed atlas slot when available
+            brickIndex = this.freeBrickIndices.length > 0 ? this.freeBrickIndices.pop() : this.nextBrickIndex++;
+            this._setBrickIndex(cx, cy, cz, brickIndex);  // Marks the chunk for upload
             
-            // Allocate brick data (8³ × 4 bytes RGBA)
-            const brickData = new Uint8Array(this.brickSize * this.brickSize * this.brickSize * 4);
+            // Allocate brick data (8³ × RGBA or material ID)
+            const brickData = new this.BrickArray(this.brickSize * this.brickSize * this.brickSize * this.channels);
             this.bricks.set(brickIndex, brickData);
             this.brickCount++;
             
@@ -647,25 +1768,91 @@ class BrickMapWorld {
         return { brick: this.bricks.get(brickIndex), index: brickIndex };
     }
     
+    _isBrickEmpty(brick) {
+        // Alpha channel in RGBA mode, the ID itself in material modes
+        const first = this.channels - 1;
+        for (let i = first; i < brick.length; i += this.channels) {
+            if (brick[i] > 0) return false;
+        }
+        return true;
+    }
+    
+    // Decode the voxel at a brick-local index to { r, g, b, a }
+    _readVoxel(brick, idx) {
+        if (this.channels === 4) {
+            return { r: brick[idx], g: brick[idx + 1], b: brick[idx + 2], a: brick[idx + 3] };
+        }
+        const material = this.materials[brick[idx]];
+        if (!material) return { r: 0, g: 0, b: 0, a: 0 };
+        return { r: material.color[0], g: material.color[1], b: material.color[2], a: 255 };
+    }
+    
+    // Release an allocated brick and return its index to the free-list
+    _freeBrick(cx, cy, cz) {
+        const brickIndex = this._getBrickIndex(cx, cy, cz);
+        if (brickIndex === 0) return;
+        
+        this._setBrickIndex(cx, cy, cz, 0);
+        this.bricks.delete(brickIndex);
+        this.dirtyBricks.delete(brickIndex);
+        this.freeBrickIndices.push(brickIndex);
+        this.brickCount--;
+    }
+    
+    // Set a voxel's color. In RGBA mode alpha is 0 (empty), 255 (plain) or a material id.
     setVoxel(x, y, z, r, g, b, a = 255) {
-        if (x < 0 || x >= this.worldSize || 
-            y < 0 || y >= this.worldSize || 
-            z < 0 || z >= this.worldSize) {
+        if (this.channels === 1) {
+            return this.setMaterial(x, y, z, a === 0 ? 0 : this._getMaterialForColor(r, g, b));
+        }
+        return this._storeVoxel(x, y, z, r, g, b, a);
+    }
+    
+    // Set a voxel to a material id (0 clears). In RGBA mode the material's color is
+    // written with the id in alpha.
+    setMaterial(x, y, z, id) {
+        if (this.channels === 4) {
+            if (id === 0) return this._storeVoxel(x, y, z, 0, 0, 0, 0);
+            const material = this.materials[id];
+            if (!material) return false;
+            return this._storeVoxel(x, y, z, material.color[0], material.color[1], material.color[2], id);
+        }
+        if (id !== 0 && !this.materials[id]) return false;
+        return this._storeVoxel(x, y, z, id);
+    }
+    
+    // Write raw channel values (RGBA, or a single material ID)
+    _storeVoxel(x, y, z, v0, v1, v2, v3) {
+        if (!this._isInWindow(x, y, z)) {
             return false;
         }
         
         const [cx, cy, cz] = this._worldToCoarse(x, y, z);
         const [lx, ly, lz] = this._worldToLocal(x, y, z);
+        const empty = this.channels === 4 ? v3 === 0 : v0 === 0;
+        
+        // Clearing a voxel never allocates a brick
+        if (empty && this._getBrickIndex(cx, cy, cz) === 0) {
+            return true;
+        }
         
+        if (this.transaction) this._recordBrick(cx, cy, cz);
         const result = this._getOrCreateBrick(cx, cy, cz);
         if (!result) return false;
         
         const { brick, index } = result;
         const idx = this._getBrickLocalIndex(lx, ly, lz);
-        brick[idx] = r;
-        brick[idx + 1] = g;
-        brick[idx + 2] = b;
-        brick[idx + 3] = a;
+        brick[idx] = v0;
+        if (this.channels === 4) {
+            brick[idx + 1] = v1;
+            brick[idx + 2] = v2;
+            brick[idx + 3] = v3;
+        }
+        
+        // Free the brick once its last voxel is cleared
+        if (empty && this._isBrickEmpty(brick)) {
+            this._freeBrick(cx, cy, cz);
+            return true;
+        }
         
         // Mark brick as dirty for incremental upload
         this.dirtyBricks.add(index);
@@ -674,131 +1861,2029 @@ class BrickMapWorld {
     }
     
     getVoxel(x, y, z) {
-        if (x < 0 || x >= this.worldSize || 
-            y < 0 || y >= this.worldSize || 
-            z < 0 || z >= this.worldSize) {
+        if (!this._isInWindow(x, y, z)) {
             return null;
         }
         
         const [cx, cy, cz] = this._worldToCoarse(x, y, z);
-        const coarseIdx = this._getCoarseIndex(cx, cy, cz);
-        if (coarseIdx < 0) return null;
-        
-        const brickIndex = this.coarseGrid[coarseIdx];
+        const brickIndex = this._getBrickIndex(cx, cy, cz);
         if (brickIndex === 0) return { r: 0, g: 0, b: 0, a: 0 };
         
         const brick = this.bricks.get(brickIndex);
         if (!brick) return null;
         
         const [lx, ly, lz] = this._worldToLocal(x, y, z);
-        const idx = this._getBrickLocalIndex(lx, ly, lz);
-        
-        return {
-            r: brick[idx],
-            g: brick[idx + 1],
-            b: brick[idx + 2],
-            a: brick[idx + 3]
-        };
+        return this._readVoxel(brick, this._getBrickLocalIndex(lx, ly, lz));
     }
     
-    clear() {
-        this.coarseGrid.fill(0);
-        this.bricks.clear();
-        this.nextBrickIndex = 1;
-        this.voxelCount = 0;
-        this.brickCount = 0;
-        this.dirtyBricks.clear();
-        this.coarseGridDirty = true;
+    // Material id at a voxel (0 = empty, or a plain RGBA voxel)
+    getMaterial(x, y, z) {
+        if (!this._isInWindow(x, y, z)) {
+            return null;
+        }
+        
+        const [cx, cy, cz] = this._worldToCoarse(x, y, z);
+        const brick = this.bricks.get(this._getBrickIndex(cx, cy, cz));
+        if (!brick) return 0;
+        
+        const [lx, ly, lz] = this._worldToLocal(x, y, z);
+        const idx = this._getBrickLocalIndex(lx, ly, lz);
+        if (this.channels === 4) {
+            const alpha = brick[idx + 3];
+            return alpha === 255 ? 0 : alpha;
+        }
+        return brick[idx];
     }
-    
-    // Get atlas position for a brick index
-    getBrickAtlasPos(brickIndex) {
-        const idx = brickIndex - 1;  // Convert to 0-based
-        return {
-            x: idx % this.atlasSize,
-            y: Math.floor(idx / this.atlasSize) % this.atlasSize,
-            z: Math.floor(idx / (this.atlasSize * this.atlasSize))
-        };
+
+    // ========================================================================
+    // Region Editing (brick at a time)
+    // ========================================================================
+
+    // Bulk edits take a voxel as a material id, an [r, g, b] color, or 0 to clear.
+    // Each touched brick is marked dirty once; bricks wholly inside a shape are
+    // filled or freed without per-voxel work. They return the bricks touched.
+
+    fillBox(min, max, voxel) {
+        return this.union(new BoxShape(min, max), voxel);
+    }
+
+    fillSphere(center, radius, voxel) {
+        return this.union(new SphereShape(center, radius), voxel);
+    }
+
+    fillCylinder(base, radius, height, voxel, axis = 'y') {
+        return this.union(new CylinderShape(base, radius, height, axis), voxel);
+    }
+
+    // Set every voxel inside the shape
+    union(shape, voxel) {
+        const raw = this._resolveVoxel(voxel);
+        return raw ? this._applyShape(shape, 'union', raw) : this.subtract(shape);
+    }
+
+    // Clear every voxel inside the shape
+    subtract(shape) {
+        return this._applyShape(shape, 'subtract', null);
+    }
+
+    // Clear every voxel outside the shape
+    intersect(shape) {
+        return this._applyShape(shape, 'intersect', null);
+    }
+
+    // Raw channel values for a bulk-edit voxel (null = empty)
+    _resolveVoxel(voxel) {
+        if (!voxel) return null;
+        if (Array.isArray(voxel)) {
+            const [r, g, b] = voxel;
+            return this.channels === 4 ? [r, g, b, 255] : [this._getMaterialForColor(r, g, b)];
+        }
+        const material = this.materials[voxel];
+        if (!material) {
+            throw new Error(`Unknown material id: ${voxel}`);
+        }
+        return this.channels === 4 ? [...material.color, voxel] : [voxel];
+    }
+
+    // Visit the coarse cells overlapping the voxel box [min, max) inside the window
+    _forEachCellInBox(min, max, callback) {
+        const bs = this.brickSize;
+        const lo = [], hi = [];
+        for (let a = 0; a < 3; a++) {
+            const windowMin = this.windowOrigin[a] * this.chunkVoxels;
+            lo.push(Math.floor(Math.max(min[a], windowMin) / bs));
+            hi.push(Math.ceil(Math.min(max[a], windowMin + this.worldSize) / bs));
+        }
+        for (let cz = lo[2]; cz < hi[2]; cz++) {
+            for (let cy = lo[1]; cy < hi[1]; cy++) {
+                for (let cx = lo[0]; cx < hi[0]; cx++) {
+                    callback(cx, cy, cz);
+                }
+            }
+        }
+    }
+
+    _applyShape(shape, operation, raw) {
+        const cells = [];
+        if (operation === 'intersect') {
+            this._forEachBrick((cx, cy, cz) => cells.push([cx, cy, cz]));
+        } else {
+            this._forEachCellInBox(shape.min, shape.max, (cx, cy, cz) => cells.push([cx, cy, cz]));
+        }
+
+        // A whole brick of the fill voxel for covered bricks
+        let template = null;
+        if (raw) {
+            template = new this.BrickArray(this.brickSize * this.brickSize * this.brickSize * this.channels);
+            for (let i = 0; i < template.length; i++) template[i] = raw[i % this.channels];
+        }
+
+        let touched = 0;
+        for (const [cx, cy, cz] of cells) {
+            if (this._applyShapeToBrick(shape, operation, raw, template, cx, cy, cz)) touched++;
+        }
+        return touched;
+    }
+
+    // Returns whether the brick at (cx, cy, cz) changed
+    _applyShapeToBrick(shape, operation, raw, template, cx, cy, cz) {
+        const bs = this.brickSize;
+        const min = [cx * bs, cy * bs, cz * bs];
+        const coverage = shape.classify(min, [min[0] + bs, min[1] + bs, min[2] + bs]);
+        const exists = this._getBrickIndex(cx, cy, cz) !== 0;
+        const unchanged = operation === 'intersect' ? coverage === SHAPE_INSIDE :
+            coverage === SHAPE_OUTSIDE || (operation === 'subtract' && !exists);
+        if (unchanged) return false;
+        if (this.transaction) this._recordBrick(cx, cy, cz);
+
+        // Whole-brick fast paths
+        if (coverage !== SHAPE_PARTIAL) {
+            if (operation === 'union') {
+                const { brick, index } = this._getOrCreateBrick(cx, cy, cz);
+                brick.set(template);
+                this.dirtyBricks.add(index);
+            } else {
+                this._freeBrick(cx, cy, cz);  // Subtract inside, intersect outside
+            }
+            return true;
+        }
+
+        // Partially covered: test each voxel
+        const result = this._getOrCreateBrick(cx, cy, cz);
+        if (!result) return false;
+        const { brick, index } = result;
+        const channels = this.channels;
+        const keepInside = operation === 'intersect';
+
+        for (let lz = 0; lz < bs; lz++) {
+            for (let ly = 0; ly < bs; ly++) {
+                for (let lx = 0; lx < bs; lx++) {
+                    const inside = shape.contains(min[0] + lx, min[1] + ly, min[2] + lz);
+                    if (inside === keepInside) continue;
+
+                    const idx = this._getBrickLocalIndex(lx, ly, lz);
+                    for (let c = 0; c < channels; c++) {
+                        brick[idx + c] = raw ? raw[c] : 0;
+                    }
+                }
+            }
+        }
+
+        if (this._isBrickEmpty(brick)) {
+            this._freeBrick(cx, cy, cz);
+            return exists;
+        }
+        this.dirtyBricks.add(index);
+        return true;
+    }
+
+    // Copy the voxels in [min, max) into a dense clipboard for pasteRegion:
+    // { size, storage, data (x-fastest voxel channels), materials }
+    copyRegion(min, max) {
+        const size = [0, 1, 2].map(a => Math.max(0, max[a] - min[a]));
+        const channels = this.channels;
+        const data = new this.BrickArray(size[0] * size[1] * size[2] * channels);
+        const bs = this.brickSize;
+
+        this._forEachCellInBox(min, max, (cx, cy, cz) => {
+            const brick = this.bricks.get(this._getBrickIndex(cx, cy, cz));
+            if (!brick) return;
+
+            // Copy the brick's overlap with the region row by row
+            const base = [cx * bs, cy * bs, cz * bs];
+            const lo = base.map((b, a) => Math.max(min[a], b));
+            const hi = base.map((b, a) => Math.min(max[a], b + bs));
+            const rowLength = (hi[0] - lo[0]) * channels;
+            for (let z = lo[2]; z < hi[2]; z++) {
+                for (let y = lo[1]; y < hi[1]; y++) {
+                    const src = this._getBrickLocalIndex(lo[0] - base[0], y - base[1], z - base[2]);
+                    const dst = ((lo[0] - min[0]) + (y - min[1]) * size[0] + (z - min[2]) * size[0] * size[1]) * channels;
+                    data.set(brick.subarray(src, src + rowLength), dst);
+                }
+            }
+        });
+
+        return { size, storage: this.storage, data, materials: this.materials.slice(1) };
+    }
+
+    // Paste a clipboard from copyRegion with its min corner at `origin`. Options:
+    //   mirror   [x, y, z] flags flipping the clipboard along each axis
+    //   rotate   quarter turns about the Y axis (x → z), applied after mirroring
+    //   replace  also write the clipboard's empty voxels (default: keep existing)
+    // Returns the bricks touched.
+    pasteRegion(clipboard, origin, options = {}) {
+        if (clipboard.storage !== this.storage) {
+            throw new Error(`Cannot paste ${clipboard.storage} voxels into a ${this.storage} world`);
+        }
+        const rotate = mod(options.rotate || 0, 4);
+        const mirror = options.mirror || [false, false, false];
+        const replace = !!options.replace;
+
+        const srcSize = clipboard.size;
+        const size = rotate % 2 ? [srcSize[2], srcSize[1], srcSize[0]] : srcSize.slice();
+        const max = origin.map((o, a) => o + size[a]);
+
+        // Destination offset → clipboard position: undo the turns, then the mirroring.
+        // The mapping is affine, so it reduces to a base plus one step per axis.
+        const toSource = (p) => {
+            let [x, y, z] = p;
+            let dimX = size[0], dimZ = size[2];
+            for (let i = 0; i < rotate; i++) {
+                [x, z] = [z, dimX - 1 - x];
+                [dimX, dimZ] = [dimZ, dimX];
+            }
+            const s = [x, y, z];
+            return s.map((v, a) => mirror[a] ? srcSize[a] - 1 - v : v);
+        };
+        const srcBase = toSource([0, 0, 0]);
+        const steps = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(unit => toSource(unit).map((v, a) => v - srcBase[a]));
+
+        const channels = this.channels;
+        const rgba = channels === 4;
+        const remap = this._remapMaterials(clipboard.materials);
+        const data = clipboard.data;
+        const bs = this.brickSize;
+        let touched = 0;
+
+        this._forEachCellInBox(origin, max, (cx, cy, cz) => {
+            const base = [cx * bs, cy * bs, cz * bs];
+            const lo = base.map((b, a) => Math.max(origin[a], b));
+            const hi = base.map((b, a) => Math.min(max[a], b + bs));
+            if (this.transaction) this._recordBrick(cx, cy, cz);
+            let brick = this.bricks.get(this._getBrickIndex(cx, cy, cz)) || null;
+            let changed = false;
+
+            for (let z = lo[2]; z < hi[2]; z++) {
+                for (let y = lo[1]; y < hi[1]; y++) {
+                    for (let x = lo[0]; x < hi[0]; x++) {
+                        const dx = x - origin[0], dy = y - origin[1], dz = z - origin[2];
+                        const sx = srcBase[0] + dx * steps[0][0] + dy * steps[1][0] + dz * steps[2][0];
+                        const sy = srcBase[1] + dx * steps[0][1] + dy * steps[1][1] + dz * steps[2][1];
+                        const sz = srcBase[2] + dx * steps[0][2] + dy * steps[1][2] + dz * steps[2][2];
+                        const src = (sx + sy * srcSize[0] + sz * srcSize[0] * srcSize[1]) * channels;
+
+                        const id = data[src + channels - 1];
+                        if (id === 0 && !replace) continue;
+                        if (!brick) {
+                            if (id === 0) continue;
+                            brick = this._getOrCreateBrick(cx, cy, cz).brick;
+                        }
+
+                        const dst = this._getBrickLocalIndex(x - base[0], y - base[1], z - base[2]);
+                        for (let c = 0; c < channels - 1; c++) brick[dst + c] = data[src + c];
+                        brick[dst + channels - 1] = (rgba && id === 255) ? id : remap[id];
+                        changed = true;
+                    }
+                }
+            }
+
+            if (!changed) return;
+            touched++;
+            if (this._isBrickEmpty(brick)) {
+                this._freeBrick(cx, cy, cz);
+            } else {
+                this.dirtyBricks.add(this._getBrickIndex(cx, cy, cz));
+            }
+        });
+        return touched;
+    }
+
+    // Map another world's material table (without entry 0) onto this one's ids
+    _remapMaterials(materials) {
+        const remap = [0];
+        for (const material of materials) {
+            const plain = this.channels === 1 && BrickMapWorld._isPlainMaterial(material);
+            remap.push(plain ? this._getMaterialForColor(...material.color) : this.findOrAddMaterial(material));
+        }
+        return remap;
+    }
+
+    // ========================================================================
+    // Edit History (undo / redo)
+    // ========================================================================
+
+    // Start an undoable step. Calls nest; the outermost endEdit() commits it.
+    // Only edits made inside a transaction are recorded.
+    beginEdit(label = 'Edit') {
+        if (this.transaction) {
+            this.transaction.depth++;
+            return;
+        }
+        this.transaction = { label, depth: 1, bricks: new Map(), materials: this.materials };
+    }
+
+    // Close the open transaction. Returns the recorded step, or null if
+    // nothing changed or the step does not fit the history budget.
+    endEdit() {
+        const tx = this.transaction;
+        if (!tx) {
+            throw new Error('endEdit() called without beginEdit()');
+        }
+        if (--tx.depth > 0) return null;
+        this.transaction = null;
+
+        const step = { label: tx.label, cells: [], before: [], after: [], bytes: 0 };
+        for (const { cell, data } of tx.bricks.values()) {
+            const brick = this.bricks.get(this._getBrickIndex(cell[0], cell[1], cell[2]));
+            const after = brick ? brick.slice() : null;
+            if (BrickMapWorld._sameBrick(data, after)) continue;
+
+            step.cells.push(cell);
+            step.before.push(data);
+            step.after.push(after);
+            step.bytes += (data ? data.byteLength : 0) + (after ? after.byteLength : 0);
+        }
+
+        // clear() swaps in a new material table
+        if (this.materials !== tx.materials) {
+            step.materialsBefore = tx.materials;
+            step.materialsAfter = this.materials;
+        }
+        if (step.cells.length === 0 && !step.materialsBefore) return null;
+
+        this.undoStack.push(step);
+        this.redoStack = [];
+        this._trimHistory();
+        if (this.undoStack[this.undoStack.length - 1] !== step) {
+            console.warn(`"${step.label}" exceeds the history budget and cannot be undone`);
+            return null;
+        }
+        return step;
+    }
+
+    // Run fn(world) as one undoable step and return its result
+    edit(label, fn) {
+        this.beginEdit(label);
+        try {
+            return fn(this);
+        } finally {
+            this.endEdit();
+        }
+    }
+
+    // Revert the latest step. Returns its label, or null if there is none.
+    // Restored bricks are marked dirty for uploadDirtyBricks(). Throws, keeping
+    // the step, if it touches bricks streamed out of the window.
+    undo() {
+        return this._replayStep(this.undoStack, this.redoStack, 'before');
+    }
+
+    // Reapply the latest undone step. Returns its label, or null if there is
+    // none; throws like undo().
+    redo() {
+        return this._replayStep(this.redoStack, this.undoStack, 'after');
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyBytes = 0;
+    }
+
+    _replayStep(from, to, side) {
+        if (this.transaction) {
+            throw new Error('Cannot undo or redo inside an edit transaction');
+        }
+        const step = from[from.length - 1];
+        if (!step) return null;
+
+        // Evicted bricks can't be restored; the step waits until they stream back in
+        const bs = this.brickSize;
+        if (!step.cells.every(([cx, cy, cz]) => this._isInWindow(cx * bs, cy * bs, cz * bs))) {
+            throw new Error(`Cannot ${side === 'before' ? 'undo' : 'redo'} "${step.label}" outside the streaming window`);
+        }
+        from.pop();
+
+        const materials = side === 'before' ? step.materialsBefore : step.materialsAfter;
+        if (materials) this._restoreMaterials(materials);
+
+        const snapshots = step[side];
+        step.cells.forEach((cell, i) => this._restoreBrick(cell, snapshots[i]));
+        to.push(step);
+        return step.label;
+    }
+
+    // Snapshot a brick the first time the open transaction touches it
+    _recordBrick(cx, cy, cz) {
+        const bricks = this.transaction.bricks;
+        const key = cx + ',' + cy + ',' + cz;
+        if (bricks.has(key)) return;
+
+        const brick = this.bricks.get(this._getBrickIndex(cx, cy, cz));
+        bricks.set(key, { cell: [cx, cy, cz], data: brick ? brick.slice() : null });
+    }
+
+    _restoreBrick(cell, data) {
+        const [cx, cy, cz] = cell;
+        if (!data) {
+            this._freeBrick(cx, cy, cz);
+            return;
+        }
+        const result = this._getOrCreateBrick(cx, cy, cz);
+        if (!result) return;  // Outside the (streaming) window
+        result.brick.set(data);
+        this.dirtyBricks.add(result.index);
+    }
+
+    _restoreMaterials(materials) {
+        this.materials = materials;
+        this.materialIds = new Map();
+        this.materialKeys = new Map();
+        for (let id = 1; id < materials.length; id++) {
+            this._indexMaterial(id, materials[id]);
+        }
+        this.materialsDirty = true;
+    }
+
+    // Drop the oldest steps until undo + redo snapshots fit the budget
+    _trimHistory() {
+        const size = (steps) => steps.reduce((sum, step) => sum + step.bytes, 0);
+        this.historyBytes = size(this.undoStack) + size(this.redoStack);
+        while (this.historyBytes > this.historyBudget && this.undoStack.length > 0) {
+            this.historyBytes -= this.undoStack.shift().bytes;
+        }
+    }
+
+    static _sameBrick(a, b) {
+        if (!a || !b) return a === b;
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    // ========================================================================
+    // Material Table
+    // ========================================================================
+    
+    // Register a material and return its id. Unspecified properties take
+    // DEFAULT_MATERIAL values; transparency 0 is opaque, 1 fully clear glass.
+    addMaterial(material) {
+        if (this.materials.length > this.maxMaterials) {
+            throw new Error(`Material table full (${this.maxMaterials} materials)`);
+        }
+        const id = this.materials.length;
+        const entry = BrickMapWorld._normalizeMaterial(material);
+        this.materials.push(entry);
+        this._indexMaterial(id, entry);
+        this.materialsDirty = true;
+        return id;
+    }
+    
+    // Register a table entry in the lookup maps
+    _indexMaterial(id, entry) {
+        const fullKey = BrickMapWorld._materialKey(entry);
+        if (!this.materialKeys.has(fullKey)) this.materialKeys.set(fullKey, id);
+        
+        // Only plain materials stand in for bare colors
+        if (BrickMapWorld._isPlainMaterial(entry)) {
+            const color = entry.color;
+            const key = (color[0] << 16) | (color[1] << 8) | color[2];
+            if (!this.materialIds.has(key)) this.materialIds.set(key, id);
+        }
+    }
+    
+    // Id of an identical material, or undefined if there is none
+    findMaterial(material) {
+        return this.materialKeys.get(BrickMapWorld._materialKey(BrickMapWorld._normalizeMaterial(material)));
+    }
+    
+    // Id of an identical material, registering it if new
+    findOrAddMaterial(material) {
+        const id = this.findMaterial(material);
+        return id !== undefined ? id : this.addMaterial(material);
+    }
+    
+    static _normalizeMaterial(material) {
+        const entry = { color: material.color.slice(0, 3) };
+        for (const prop in DEFAULT_MATERIAL) {
+            const value = material[prop] !== undefined ? material[prop] : DEFAULT_MATERIAL[prop];
+            const max = prop === 'emissive' ? MATERIAL_MAX_EMISSIVE : 1;
+            entry[prop] = Math.max(0, Math.min(max, value));
+        }
+        return entry;
+    }
+    
+    static _materialKey(material) {
+        return material.color.join(',') + '|' + BrickMapWorld._encodeMaterialProps(material).join(',');
+    }
+    
+    static _isPlainMaterial(material) {
+        for (const prop in DEFAULT_MATERIAL) {
+            if (material[prop] !== DEFAULT_MATERIAL[prop]) return false;
+        }
+        return true;
+    }
+    
+    // Properties as bytes: emissive, roughness, metalness, transparency
+    static _encodeMaterialProps(material) {
+        return [
+            Math.round(material.emissive / MATERIAL_MAX_EMISSIVE * 255),
+            Math.round(material.roughness * 255),
+            Math.round(material.metalness * 255),
+            Math.round(material.transparency * 255)
+        ];
+    }
+    
+    static _decodeMaterialProps(bytes) {
+        return {
+            emissive: bytes[0] / 255 * MATERIAL_MAX_EMISSIVE,
+            roughness: bytes[1] / 255,
+            metalness: bytes[2] / 255,
+            transparency: bytes[3] / 255
+        };
+    }
+    
+    // Material id for an RGB color: reuse, allocate, or (table full) nearest match
+    _getMaterialForColor(r, g, b) {
+        const key = (r << 16) | (g << 8) | b;
+        let id = this.materialIds.get(key);
+        if (id !== undefined) return id;
+        
+        if (this.materials.length <= this.maxMaterials) {
+            return this.addMaterial({ color: [r, g, b] });
+        }
+        
+        let bestDist = Infinity;
+        for (let i = 1; i < this.materials.length; i++) {
+            if (!BrickMapWorld._isPlainMaterial(this.materials[i])) continue;
+            const c = this.materials[i].color;
+            const dist = (c[0] - r) ** 2 + (c[1] - g) ** 2 + (c[2] - b) ** 2;
+            if (dist < bestDist) {
+                bestDist = dist;
+                id = i;
+            }
+        }
+        this.materialIds.set(key, id);  // Cache the nearest match
+        return id;
+    }
+    
+    // Material table as RGBA8 texels, MATERIAL_TABLE_WIDTH entries per row.
+    // Each entry is a color texel followed by a properties texel; entry 0
+    // holds the plain material used by RGBA voxels with alpha 255.
+    buildMaterialTable() {
+        const rows = Math.max(1, Math.ceil(this.materials.length / MATERIAL_TABLE_WIDTH));
+        const width = MATERIAL_TABLE_WIDTH * 2;
+        const data = new Uint8Array(width * rows * 4);
+        data.set(BrickMapWorld._encodeMaterialProps(DEFAULT_MATERIAL), 4);
+        for (let id = 1; id < this.materials.length; id++) {
+            const material = this.materials[id];
+            const c = material.color;
+            data.set([c[0], c[1], c[2], 255], id * 8);
+            data.set(BrickMapWorld._encodeMaterialProps(material), id * 8 + 4);
+        }
+        return { data, width, height: rows };
+    }
+    
+    // Remove all voxels and materials. Inside an edit transaction this is
+    // undoable; outside one it also drops the undo history.
+    clear() {
+        if (this.transaction) {
+            this._forEachBrick((cx, cy, cz) => this._recordBrick(cx, cy, cz));
+        } else {
+            this.clearHistory();
+        }
+        
+        this.topGrid.fill(0);
+        this.chunks.clear();
+        this.nextChunkIndex = 1;
+        this.freeChunkIndices = [];
+        this.bricks.clear();
+        this.nextBrickIndex = 1;
+        this.freeBrickIndices = [];
+        this.voxelCount = 0;
+        this.brickCount = 0;
+        this.dirtyBricks.clear();
+        this.dirtyChunks.clear();
+        this.topGridDirty = true;
+        this.pendingChunks = this.streaming ? this._chunksInWindow(this.windowOrigin) : [];
+        
+        // Material table is reset along with the voxels
+        this.materials = [null];
+        this.materialIds.clear();
+        this.materialKeys.clear();
+        this.materialsDirty = true;
+    }
+    
+    // Get atlas position for a brick index
+    getBrickAtlasPos(brickIndex) {
+        return BrickMapWorld._getPoolPos(brickIndex, this.atlasDims);
+    }
+    
+    // Get chunk pool position for a chunk index
+    getChunkPoolPos(chunkIndex) {
+        return BrickMapWorld._getPoolPos(chunkIndex, this.chunkPoolDims);
+    }
+    
+    // Slot of a 1-based index in a pool texture laid out X, then Y, then Z
+    static _getPoolPos(index, dims) {
+        const idx = index - 1;  // Convert to 0-based
+        const [px, py] = dims;
+        return {
+            x: idx % px,
+            y: Math.floor(idx / px) % py,
+            z: Math.floor(idx / (px * py))
+        };
+    }
+    
+    getAtlasCapacity() {
+        return this.atlasDims[0] * this.atlasDims[1] * this.atlasDims[2];
+    }
+    
+    getChunkPoolCapacity() {
+        return this.chunkPoolDims[0] * this.chunkPoolDims[1] * this.chunkPoolDims[2];
+    }
+    
+    // Smallest atlas (in bricks) holding `required` bricks within maxDims.
+    // Fills a layer of up to ATLAS_LAYER_BRICKS² bricks and stacks layers
+    // along Z; the layer only widens when Z would exceed the limit.
+    _fitAtlasDims(required, maxDims = this.maxAtlasDims) {
+        const [maxX, maxY, maxZ] = maxDims;
+        const capacity = Math.max(1, required);
+        
+        let ax = Math.min(maxX, ATLAS_LAYER_BRICKS);
+        let ay = Math.min(maxY, ATLAS_LAYER_BRICKS);
+        let az = Math.ceil(capacity / (ax * ay));
+        
+        if (az > maxZ) {
+            ax = maxX;
+            ay = Math.min(maxY, Math.ceil(capacity / (ax * maxZ)));
+            az = Math.min(maxZ, Math.ceil(capacity / (ax * ay)));
+        }
+        
+        return [ax, ay, az];
+    }
+    
+    // Size the atlas to hold exactly `required` bricks (rounded up to whole layers)
+    fitAtlas(required) {
+        this.atlasDims = this._fitAtlasDims(required);
+        return this.atlasDims;
+    }
+    
+    // Size the chunk pool to hold `required` chunks, with headroom when growing
+    fitChunkPool(required, headroom = 1) {
+        this.chunkPoolDims = this._fitAtlasDims(Math.ceil(required * headroom), this.maxChunkPoolDims);
+        return this.chunkPoolDims;
+    }
+    
+    // Grow the atlas so `required` bricks fit. Returns true if existing brick
+    // positions are preserved (only Z layers were added), false on re-layout.
+    growAtlas(required) {
+        const [ax, ay, az] = this.atlasDims;
+        const maxZ = this.maxAtlasDims[2];
+        
+        if (ax > 0 && ay > 0) {
+            const neededLayers = Math.ceil(required / (ax * ay));
+            if (neededLayers <= maxZ) {
+                // Double the layer count to amortize repeated growth
+                this.atlasDims = [ax, ay, Math.max(neededLayers, Math.min(maxZ, az * 2))];
+                return true;
+            }
+        }
+        
+        this.atlasDims = this._fitAtlasDims(Math.ceil(required * 1.5));
+        return false;
+    }
+    
+    // Get dirty bricks and chunks and clear the dirty sets
+    getDirtyBricksAndClear() {
+        const dirty = Array.from(this.dirtyBricks);
+        const dirtyChunks = Array.from(this.dirtyChunks);
+        this.dirtyBricks.clear();
+        this.dirtyChunks.clear();
+        const topDirty = this.topGridDirty;
+        this.topGridDirty = false;
+        return { bricks: dirty, chunks: dirtyChunks, topGridDirty: topDirty };
+    }
+    
+    // Mark all bricks and chunks as dirty (for full upload)
+    markAllDirty() {
+        for (const brickIndex of this.bricks.keys()) {
+            this.dirtyBricks.add(brickIndex);
+        }
+        for (const chunkIndex of this.chunks.keys()) {
+            this.dirtyChunks.add(chunkIndex);
+        }
+        this.topGridDirty = true;
+    }
+    
+    // Repack brick and chunk indices densely in chunk order, dropping empty
+    // bricks. Returns the number of atlas slots reclaimed.
+    // All bricks are marked dirty; the whole atlas must be re-uploaded.
+    compact() {
+        const cells = [];
+        this._forEachBrick((cx, cy, cz, brickIndex) => cells.push([cx, cy, cz, brickIndex]));
+        
+        this.topGrid.fill(0);
+        this.chunks.clear();
+        this.nextChunkIndex = 1;
+        this.freeChunkIndices = [];
+        this.dirtyChunks.clear();
+        
+        const bricks = new Map();
+        let nextIndex = 1;
+        
+        for (const [cx, cy, cz, brickIndex] of cells) {
+            const brick = this.bricks.get(brickIndex);
+            if (!brick || this._isBrickEmpty(brick)) continue;
+            
+            this._setBrickIndex(cx, cy, cz, nextIndex);
+            bricks.set(nextIndex++, brick);
+        }
+        
+        const reclaimed = this.nextBrickIndex - nextIndex;
+        this.bricks = bricks;
+        this.nextBrickIndex = nextIndex;
+        this.freeBrickIndices = [];
+        this.brickCount = bricks.size;
+        this.dirtyBricks.clear();
+        this.markAllDirty();
+        
+        return reclaimed;
+    }
+    
+    countVoxels() {
+        this.voxelCount = 0;
+        const first = this.channels - 1;
+        for (const brick of this.bricks.values()) {
+            for (let i = first; i < brick.length; i += this.channels) {
+                if (brick[i] > 0) this.voxelCount++;
+            }
+        }
+        return this.voxelCount;
+    }
+    
+    // Build atlas texture data for GPU
+    buildAtlas() {
+        const maxBricks = this.getAtlasCapacity();
+        const highestIndex = this.nextBrickIndex - 1;
+        if (highestIndex > maxBricks) {
+            console.warn(`WARNING: Brick index (${highestIndex}) exceeds atlas capacity (${maxBricks}). Some voxels will be invisible!`);
+        }
+
+        const atlasWidth = this.atlasDims[0] * this.brickSize;
+        const atlasHeight = this.atlasDims[1] * this.brickSize;
+        const atlasDepth = this.atlasDims[2] * this.brickSize;
+        const channels = this.channels;
+        this.brickAtlasData = new this.BrickArray(atlasWidth * atlasHeight * atlasDepth * channels);
+
+        for (const [brickIndex, brickData] of this.bricks) {
+            // Skip bricks that exceed atlas capacity
+            if (brickIndex > maxBricks) continue;
+
+            const { x: ax, y: ay, z: az } = this.getBrickAtlasPos(brickIndex);
+            
+            // Copy brick data to atlas
+            for (let lz = 0; lz < this.brickSize; lz++) {
+                for (let ly = 0; ly < this.brickSize; ly++) {
+                    for (let lx = 0; lx < this.brickSize; lx++) {
+                        const srcIdx = (lx + ly * this.brickSize + lz * this.brickSize * this.brickSize) * channels;
+                        
+                        const atlasX = ax * this.brickSize + lx;
+                        const atlasY = ay * this.brickSize + ly;
+                        const atlasZ = az * this.brickSize + lz;
+                        const dstIdx = (atlasX + atlasY * atlasWidth + atlasZ * atlasWidth * atlasHeight) * channels;
+                        
+                        for (let c = 0; c < channels; c++) {
+                            this.brickAtlasData[dstIdx + c] = brickData[srcIdx + c];
+                        }
+                    }
+                }
+            }
+        }
+        
+        return this.brickAtlasData;
+    }
+    
+    // Build chunk pool texture data (brick indices) for the GPU
+    buildChunkPool() {
+        const [px, py, pz] = this.chunkPoolDims;
+        const width = px * CHUNK_SIZE;
+        const height = py * CHUNK_SIZE;
+        const data = new Uint32Array(width * height * pz * CHUNK_SIZE);
+        const capacity = this.getChunkPoolCapacity();
+        
+        for (const [chunkIndex, chunk] of this.chunks) {
+            if (chunkIndex > capacity) continue;
+            const pos = this.getChunkPoolPos(chunkIndex);
+            for (let cz = 0; cz < CHUNK_SIZE; cz++) {
+                for (let cy = 0; cy < CHUNK_SIZE; cy++) {
+                    const src = (cy + cz * CHUNK_SIZE) * CHUNK_SIZE;
+                    const dst = pos.x * CHUNK_SIZE +
+                                (pos.y * CHUNK_SIZE + cy) * width +
+                                (pos.z * CHUNK_SIZE + cz) * width * height;
+                    data.set(chunk.subarray(src, src + CHUNK_SIZE), dst);
+                }
+            }
+        }
+        
+        return data;
+    }
+    
+    getMemoryUsage() {
+        const coarseBytes = this.topGrid.byteLength + this.chunks.size * CHUNK_SIZE ** 3 * 4;
+        const voxelsPerBrick = this.brickSize * this.brickSize * this.brickSize;
+        const brickBytes = this.brickCount * voxelsPerBrick * this.bytesPerVoxel;
+        const atlasBytes = this.getAtlasCapacity() * voxelsPerBrick * this.bytesPerVoxel;
+        return {
+            coarseGrid: coarseBytes,  // Top grid + allocated chunks
+            bricks: brickBytes,
+            materials: this.materials.length * 8,
+            atlas: atlasBytes,  // GPU-side
+            atlasMB: atlasBytes / (1024 * 1024),
+            history: this.historyBytes,  // Undo/redo snapshots
+            total: coarseBytes + brickBytes + this.historyBytes,
+            totalMB: (coarseBytes + brickBytes + this.historyBytes) / (1024 * 1024)
+        };
+    }
+
+    // ========================================================================
+    // Streaming Window
+    // ========================================================================
+
+    // Slide the window to stay centred on a world-space position, then run the
+    // chunk provider for up to maxLoads queued chunks (nearest first).
+    // Returns true if the window moved.
+    updateStreaming(position, maxLoads = Infinity) {
+        if (!this.streaming) return false;
+        
+        const half = Math.floor(this.topSize / 2);
+        const origin = position.map(p => Math.floor(p / this.chunkVoxels) - half);
+        const moved = origin.some((o, a) => o !== this.windowOrigin[a]);
+        if (moved) this.setWindowOrigin(origin);
+        
+        this.loadPendingChunks(maxLoads, position);
+        return moved;
+    }
+
+    // Move the window to a new origin (in chunks). Chunks left behind are
+    // evicted and their slots freed; chunks entering the window are queued.
+    setWindowOrigin(origin) {
+        const T = this.topSize;
+        const inside = (c, o) => c[0] >= o[0] && c[0] < o[0] + T &&
+                                 c[1] >= o[1] && c[1] < o[1] + T &&
+                                 c[2] >= o[2] && c[2] < o[2] + T;
+        
+        for (let topIdx = 0; topIdx < this.topGrid.length; topIdx++) {
+            if (this.topGrid[topIdx] === 0) continue;
+            const chunkPos = this._getSlotChunk(topIdx);
+            if (!inside(chunkPos, origin)) this._evictChunk(topIdx, chunkPos);
+        }
+        
+        const oldOrigin = this.windowOrigin;
+        this.windowOrigin = origin.slice();
+        this.pendingChunks = this.pendingChunks.filter(c => inside(c, origin))
+            .concat(this._chunksInWindow(origin).filter(c => !inside(c, oldOrigin)));
+        this.topGridDirty = true;
+    }
+
+    // Generate queued chunks with the chunk provider, nearest to `position` first
+    loadPendingChunks(maxLoads = Infinity, position = null) {
+        if (!this.chunkProvider || this.pendingChunks.length === 0) return 0;
+        
+        if (position) {
+            const center = position.map(p => p / this.chunkVoxels - 0.5);
+            const dist = c => (c[0] - center[0]) ** 2 + (c[1] - center[1]) ** 2 + (c[2] - center[2]) ** 2;
+            this.pendingChunks.sort((a, b) => dist(b) - dist(a));  // Nearest last
+        }
+        
+        let loaded = 0;
+        while (loaded < maxLoads && this.pendingChunks.length > 0) {
+            const [cx, cy, cz] = this.pendingChunks.pop();
+            this.chunkProvider(this, cx, cy, cz);
+            loaded++;
+        }
+        return loaded;
+    }
+
+    // All chunk positions in a window starting at `origin`
+    _chunksInWindow(origin) {
+        const T = this.topSize;
+        const positions = [];
+        for (let z = 0; z < T; z++) {
+            for (let y = 0; y < T; y++) {
+                for (let x = 0; x < T; x++) {
+                    positions.push([origin[0] + x, origin[1] + y, origin[2] + z]);
+                }
+            }
+        }
+        return positions;
+    }
+
+    // Drop a resident chunk and all of its bricks, freeing their slots
+    _evictChunk(topIdx, chunkPos) {
+        if (this.onChunkEvict) this.onChunkEvict(this, chunkPos[0], chunkPos[1], chunkPos[2]);
+        
+        const chunkIndex = this.topGrid[topIdx];
+        const chunk = this.chunks.get(chunkIndex);
+        for (const brickIndex of chunk) {
+            if (brickIndex === 0) continue;
+            this.bricks.delete(brickIndex);
+            this.dirtyBricks.delete(brickIndex);
+            this.freeBrickIndices.push(brickIndex);
+            this.brickCount--;
+        }
+        
+        this.topGrid[topIdx] = 0;
+        this.topGridDirty = true;
+        this.chunks.delete(chunkIndex);
+        this.dirtyChunks.delete(chunkIndex);
+        this.freeChunkIndices.push(chunkIndex);
+    }
+
+    // ========================================================================
+    // Brick Transfer (generation workers)
+    // ========================================================================
+
+    // Pack the bricks of coarse cells in [min, max) for another world: cell
+    // coordinates (Int32Array, 3 per brick), brick data back to back and the
+    // material table its ids refer to. Post coords/voxels buffers as transferables.
+    exportBricks(min, max) {
+        const cells = [];
+        this._forEachBrick((cx, cy, cz, brickIndex) => {
+            if (cx >= min[0] && cx < max[0] &&
+                cy >= min[1] && cy < max[1] &&
+                cz >= min[2] && cz < max[2]) {
+                cells.push([cx, cy, cz, brickIndex]);
+            }
+        });
+
+        const brickLength = this.brickSize * this.brickSize * this.brickSize * this.channels;
+        const coords = new Int32Array(cells.length * 3);
+        const voxels = new this.BrickArray(cells.length * brickLength);
+        cells.forEach(([cx, cy, cz, brickIndex], i) => {
+            coords.set([cx, cy, cz], i * 3);
+            voxels.set(this.bricks.get(brickIndex), i * brickLength);
+        });
+        return { coords, voxels, materials: this.materials.slice(1) };
+    }
+
+    // Replace whole bricks with data packed by exportBricks, remapping its
+    // material ids onto this world's table. Returns the number of bricks merged.
+    mergeBricks({ coords, voxels, materials }) {
+        const remap = this._remapMaterials(materials);
+        const brickLength = this.brickSize * this.brickSize * this.brickSize * this.channels;
+        const first = this.channels - 1;
+        let merged = 0;
+
+        for (let i = 0; i < coords.length / 3; i++) {
+            const [cx, cy, cz] = coords.subarray(i * 3, i * 3 + 3);
+            if (this.transaction) this._recordBrick(cx, cy, cz);
+            const result = this._getOrCreateBrick(cx, cy, cz);
+            if (!result) continue;
+
+            // Material ids live in alpha (RGBA, 255 = plain) or the voxel itself
+            const brick = result.brick;
+            brick.set(voxels.subarray(i * brickLength, (i + 1) * brickLength));
+            for (let j = first; j < brick.length; j += this.channels) {
+                const id = brick[j];
+                if (id !== 0 && !(this.channels === 4 && id === 255)) brick[j] = remap[id];
+            }
+
+            if (this._isBrickEmpty(brick)) {
+                this._freeBrick(cx, cy, cz);
+                continue;
+            }
+            this.dirtyBricks.add(result.index);
+            merged++;
+        }
+        return merged;
+    }
+
+    // ========================================================================
+    // CPU Ray Traversal (mirrors traceRay / traceChunk / traceBrick in the fragment shader)
+    // ========================================================================
+
+    // Cast a ray and return the first solid voxel, or null on a miss.
+    // Uses the same top grid → chunk → brick DDA, epsilons and tie-breaking as
+    // the shader (with float32 inputs) so picking agrees with what is on screen.
+    // maxSteps counts top-grid and coarse-cell steps together, like u_maxSteps.
+    raycast(origin, direction, maxDistance = Infinity, maxSteps = 512) {
+        const f = Math.fround;
+        const ox = f(origin[0]), oy = f(origin[1]), oz = f(origin[2]);
+        const len = Math.sqrt(direction[0] * direction[0] + direction[1] * direction[1] + direction[2] * direction[2]);
+        if (len === 0) return null;
+        const dir = [f(direction[0] / len), f(direction[1] / len), f(direction[2] / len)];
+        const o = [ox, oy, oz];
+        const safeDir = dir.map(d => Math.abs(d) < 1e-8 ? (d >= 0 ? 1e-8 : -1e-8) : d);
+        const chunkVoxels = CHUNK_SIZE * this.brickSize;
+        const T = this.topSize;
+
+        // Intersect with the window bounds
+        const windowMin = this.windowOrigin.map(c => c * chunkVoxels);
+        let tNear = -Infinity, tFar = Infinity;
+        for (let a = 0; a < 3; a++) {
+            const t0 = (windowMin[a] - o[a]) / safeDir[a];
+            const t1 = (windowMin[a] + this.worldSize - o[a]) / safeDir[a];
+            tNear = Math.max(tNear, Math.min(t0, t1));
+            tFar = Math.min(tFar, Math.max(t0, t1));
+        }
+        if (tNear > tFar || tFar < 0) return null;
+
+        const tStart = Math.max(0, tNear) + 0.001;
+        const topStart = o.map((v, a) => (v + dir[a] * tStart) / chunkVoxels);
+        const topMin = this.windowOrigin;
+        const topPos = topStart.map((v, a) => Math.min(Math.max(Math.floor(v), topMin[a]), topMin[a] + T - 1));
+
+        const step = safeDir.map(d => d >= 0 ? 1 : -1);
+        const deltaDist = safeDir.map(d => Math.abs(chunkVoxels / d));
+        const sideDist = topStart.map((v, a) =>
+            (step[a] * (topPos[a] - v) + step[a] * 0.5 + 0.5) * deltaDist[a]);
+
+        const counter = { steps: 0 };  // Shared with _traceChunk
+        for (let i = 0; i < 512; i++) {
+            if (counter.steps >= maxSteps) break;
+            counter.steps++;
+
+            const chunk = this.chunks.get(this.topGrid[this._getTopIndex(topPos[0], topPos[1], topPos[2])]);
+            if (chunk) {
+                const hit = this._traceChunk(chunk, o, dir, topPos, maxSteps, counter);
+                if (hit) {
+                    if (hit.distance > maxDistance) return null;
+                    hit.steps = counter.steps;
+                    return hit;
+                }
+            }
+
+            BrickMapWorld._ddaStep(sideDist, deltaDist, topPos, step);
+
+            if (topPos[0] < topMin[0] || topPos[0] >= topMin[0] + T ||
+                topPos[1] < topMin[1] || topPos[1] >= topMin[1] + T ||
+                topPos[2] < topMin[2] || topPos[2] >= topMin[2] + T) {
+                break;
+            }
+        }
+
+        return null;
+    }
+
+    // Advance a DDA by one cell along the axis with the nearest boundary
+    static _ddaStep(sideDist, deltaDist, pos, step) {
+        let axis;
+        if (sideDist[0] < sideDist[1]) {
+            axis = sideDist[0] < sideDist[2] ? 0 : 2;
+        } else {
+            axis = sideDist[1] < sideDist[2] ? 1 : 2;
+        }
+        sideDist[axis] += deltaDist[axis];
+        pos[axis] += step[axis];
+        return axis;
+    }
+
+    // Coarse-cell DDA through a single chunk (CPU twin of traceChunk)
+    _traceChunk(chunk, origin, rayDir, topPos, maxSteps, counter) {
+        const B = this.brickSize;
+        const cellMin = topPos.map(t => t * CHUNK_SIZE);
+        const safeDir = rayDir.map(d => Math.abs(d) < 1e-8 ? (d >= 0 ? 1e-8 : -1e-8) : d);
+
+        let tNear = -Infinity, tFar = Infinity;
+        for (let a = 0; a < 3; a++) {
+            const tMin = (cellMin[a] * B - origin[a]) / safeDir[a];
+            const tMax = ((cellMin[a] + CHUNK_SIZE) * B - origin[a]) / safeDir[a];
+            tNear = Math.max(tNear, Math.min(tMin, tMax));
+            tFar = Math.min(tFar, Math.max(tMin, tMax));
+        }
+        if (tNear > tFar || tFar < 0) return null;
+
+        const tStart = Math.max(0, tNear) + 0.001;
+        const coarseStart = origin.map((v, a) => (v + safeDir[a] * tStart) / B);
+        const coarsePos = coarseStart.map((v, a) =>
+            Math.min(Math.max(Math.floor(v), cellMin[a]), cellMin[a] + CHUNK_SIZE - 1));
+
+        const step = safeDir.map(d => d >= 0 ? 1 : -1);
+        const deltaDist = safeDir.map(d => Math.abs(B / d));
+        const sideDist = coarseStart.map((v, a) =>
+            (step[a] * (coarsePos[a] - v) + step[a] * 0.5 + 0.5) * deltaDist[a]);
+
+        for (let i = 0; i < CHUNK_SIZE * 3; i++) {
+            if (counter.steps >= maxSteps) return null;
+            counter.steps++;
+
+            const brickIndex = chunk[this._getChunkCellIndex(coarsePos[0], coarsePos[1], coarsePos[2])];
+            if (brickIndex > 0) {
+                const hit = this._traceBrick(brickIndex, origin, rayDir, coarsePos);
+                if (hit) return hit;
+            }
+
+            BrickMapWorld._ddaStep(sideDist, deltaDist, coarsePos, step);
+
+            if (coarsePos[0] < cellMin[0] || coarsePos[0] >= cellMin[0] + CHUNK_SIZE ||
+                coarsePos[1] < cellMin[1] || coarsePos[1] >= cellMin[1] + CHUNK_SIZE ||
+                coarsePos[2] < cellMin[2] || coarsePos[2] >= cellMin[2] + CHUNK_SIZE) {
+                break;
+            }
+        }
+
+        return null;
+    }
+
+    // DDA through a single brick (CPU twin of traceBrick)
+    _traceBrick(brickIndex, origin, rayDir, coarsePos) {
+        const brick = this.bricks.get(brickIndex);
+        if (!brick) return null;
+
+        const B = this.brickSize;
+        const brickMin = coarsePos.map(c => c * B);
+        const safeDir = rayDir.map(d => Math.abs(d) < 1e-8 ? (d >= 0 ? 1e-8 : -1e-8) : d);
+
+        // Entry/exit times per axis
+        const t1 = [0, 0, 0];
+        let tNear = -Infinity, tFar = Infinity;
+        for (let a = 0; a < 3; a++) {
+            const tMin = (brickMin[a] - origin[a]) / safeDir[a];
+            const tMax = (brickMin[a] + B - origin[a]) / safeDir[a];
+            t1[a] = Math.min(tMin, tMax);
+            tNear = Math.max(tNear, t1[a]);
+            tFar = Math.min(tFar, Math.max(tMin, tMax));
+        }
+        if (tNear > tFar || tFar < 0) return null;
+
+        // Entry face
+        let side;
+        if (t1[0] >= t1[1] && t1[0] >= t1[2]) side = 0;
+        else if (t1[1] >= t1[0] && t1[1] >= t1[2]) side = 1;
+        else side = 2;
+
+        const tStart = Math.max(0, tNear) + 0.001;
+        const localStart = origin.map((v, a) => v + safeDir[a] * tStart - brickMin[a]);
+        const mapPos = localStart.map(v => Math.min(Math.max(Math.floor(v), 0), B - 1));
+
+        const step = safeDir.map(d => d >= 0 ? 1 : -1);
+        const deltaDist = safeDir.map(d => Math.abs(1 / d));
+        const sideDist = localStart.map((v, a) =>
+            (step[a] * (mapPos[a] - v) + step[a] * 0.5 + 0.5) * deltaDist[a]);
+
+        for (let i = 0; i < B * 3; i++) {
+            const idx = this._getBrickLocalIndex(mapPos[0], mapPos[1], mapPos[2]);
+            if (brick[idx + this.channels - 1] > 0) {
+                const position = mapPos.map((m, a) => brickMin[a] + m);
+                const normal = [0, 0, 0];
+                normal[side] = -step[side];
+                const distance = (position[side] - origin[side] + (1 - step[side]) / 2) / safeDir[side];
+
+                return {
+                    position,
+                    normal,
+                    distance,
+                    color: this._readVoxel(brick, idx),
+                    adjacent: position.map((p, a) => p + normal[a]),
+                    steps: 0
+                };
+            }
+
+            // DDA step
+            if (sideDist[0] < sideDist[1]) {
+                if (sideDist[0] < sideDist[2]) {
+                    sideDist[0] += deltaDist[0];
+                    mapPos[0] += step[0];
+                    side = 0;
+                } else {
+                    sideDist[2] += deltaDist[2];
+                    mapPos[2] += step[2];
+                    side = 2;
+                }
+            } else {
+                if (sideDist[1] < sideDist[2]) {
+                    sideDist[1] += deltaDist[1];
+                    mapPos[1] += step[1];
+                    side = 1;
+                } else {
+                    sideDist[2] += deltaDist[2];
+                    mapPos[2] += step[2];
+                    side = 2;
+                }
+            }
+
+            if (mapPos[0] < 0 || mapPos[0] >= B ||
+                mapPos[1] < 0 || mapPos[1] >= B ||
+                mapPos[2] < 0 || mapPos[2] >= B) {
+                break;
+            }
+        }
+
+        return null;
+    }
+
+    // Serialize to a compact binary buffer (only allocated bricks, RLE compressed)
+    serialize() {
+        const voxelsPerBrick = this.brickSize * this.brickSize * this.brickSize;
+        const channels = this.channels;
+        const elementBytes = this.BrickArray.BYTES_PER_ELEMENT;
+        const runBytes = 2 + channels * elementBytes;
+        const scratch = new Uint8Array(voxelsPerBrick * runBytes);  // Worst case: one run per voxel
+        const records = [];
+        let brickCount = 0;
+
+        // Material table records
+        const materialRecords = this.materials.slice(1).map(m => this._encodeMaterial(m));
+        let totalBytes = WORLD_FILE_HEADER_SIZE + 4 + WORLD_FILE_WINDOW_SIZE;
+        for (const record of materialRecords) totalBytes += 2 + record.length;
+
+        this._forEachBrick((cx, cy, cz, brickIndex) => {
+            const brick = this.bricks.get(brickIndex);
+            if (!brick) return;
+            const coarseIdx = this._getCoarseIndex(cx, cy, cz);
+
+            // Run-length encode voxel values
+            let length = 0;
+            let i = 0;
+            while (i < voxelsPerBrick) {
+                const src = i * channels;
+                let run = 1;
+                while (i + run < voxelsPerBrick && run < 0xFFFF) {
+                    const next = (i + run) * channels;
+                    let same = true;
+                    for (let c = 0; c < channels; c++) {
+                        if (brick[next + c] !== brick[src + c]) {
+                            same = false;
+                            break;
+                        }
+                    }
+                    if (!same) break;
+                    run++;
+                }
+                scratch[length] = run & 0xFF;
+                scratch[length + 1] = run >> 8;
+                let o = length + 2;
+                for (let c = 0; c < channels; c++) {
+                    const v = brick[src + c];
+                    scratch[o++] = v & 0xFF;
+                    if (elementBytes === 2) scratch[o++] = v >> 8;
+                }
+                length += runBytes;
+                i += run;
+            }
+
+            records.push({ coarseIdx, data: scratch.slice(0, length) });
+            totalBytes += 8 + length;
+            brickCount++;
+        });
+
+        const buffer = new ArrayBuffer(totalBytes);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        view.setUint32(0, WORLD_FILE_MAGIC, true);
+        view.setUint16(4, WORLD_FILE_VERSION, true);
+        view.setUint16(6, WORLD_FILE_STORAGE.indexOf(this.storage), true);
+        view.setUint32(8, this.coarseSize, true);
+        view.setUint32(12, this.brickSize, true);
+        view.setUint32(16, brickCount, true);
+        view.setUint32(20, this.countVoxels(), true);
+
+        let offset = WORLD_FILE_HEADER_SIZE;
+        view.setUint32(offset, materialRecords.length, true);
+        offset += 4;
+        for (const record of materialRecords) {
+            view.setUint16(offset, record.length, true);
+            bytes.set(record, offset + 2);
+            offset += 2 + record.length;
+        }
+
+        // Brick positions are relative to the window, so its origin goes along
+        view.setUint32(offset, this.streaming ? WORLD_FILE_STREAMING : 0, true);
+        for (let a = 0; a < 3; a++) view.setInt32(offset + 4 + a * 4, this.windowOrigin[a], true);
+        offset += WORLD_FILE_WINDOW_SIZE;
+
+        for (const record of records) {
+            view.setUint32(offset, record.coarseIdx, true);
+            view.setUint32(offset + 4, record.data.length, true);
+            bytes.set(record.data, offset + 8);
+            offset += 8 + record.data.length;
+        }
+
+        return buffer;
+    }
+
+    // Material record: r, g, b, then emissive, roughness, metalness, transparency bytes.
+    // Records from older files end after the color and decode as plain materials.
+    _encodeMaterial(material) {
+        return Uint8Array.from(material.color.concat(BrickMapWorld._encodeMaterialProps(material)));
+    }
+
+    static _decodeMaterial(record) {
+        const material = { color: [record[0], record[1], record[2]] };
+        if (record.length >= 7) {
+            Object.assign(material, BrickMapWorld._decodeMaterialProps(record.subarray(3, 7)));
+        }
+        return material;
+    }
+
+    // Restore a world written by serialize(). A streaming world comes back at
+    // its saved window without a chunk provider; once one is attached, it
+    // fills the window's chunks that hold no bricks.
+    static deserialize(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < WORLD_FILE_HEADER_SIZE || view.getUint32(0, true) !== WORLD_FILE_MAGIC) {
+            throw new Error('Invalid world file: bad magic');
+        }
+
+        const version = view.getUint16(4, true);
+        if (version > WORLD_FILE_VERSION) {
+            throw new Error(`Unsupported world file version: ${version}`);
+        }
+
+        // Version 1 files are always RGBA with no material table
+        const storage = version >= 2 ? WORLD_FILE_STORAGE[view.getUint16(6, true)] : 'rgba';
+        if (!storage) {
+            throw new Error('Invalid world file: unknown storage mode');
+        }
+        const coarseSize = view.getUint32(8, true);
+        const brickSize = view.getUint32(12, true);
+        const brickCount = view.getUint32(16, true);
+
+        const voxelsPerBrick = brickSize * brickSize * brickSize;
+        const bytes = new Uint8Array(buffer);
+
+        let offset = WORLD_FILE_HEADER_SIZE;
+        const materials = [];
+        if (version >= 2) {
+            const materialCount = view.getUint32(offset, true);
+            offset += 4;
+            for (let m = 0; m < materialCount; m++) {
+                const length = view.getUint16(offset, true);
+                materials.push(BrickMapWorld._decodeMaterial(bytes.subarray(offset + 2, offset + 2 + length)));
+                offset += 2 + length;
+            }
+        }
+
+        let streaming = false;
+        const windowOrigin = [0, 0, 0];
+        if (version >= 3) {
+            if (offset + WORLD_FILE_WINDOW_SIZE > buffer.byteLength) {
+                throw new Error('Invalid world file: truncated window');
+            }
+            streaming = (view.getUint32(offset, true) & WORLD_FILE_STREAMING) !== 0;
+            for (let a = 0; a < 3; a++) windowOrigin[a] = view.getInt32(offset + 4 + a * 4, true);
+            offset += WORLD_FILE_WINDOW_SIZE;
+        }
+
+        const world = new BrickMapWorld(coarseSize, brickSize, { storage, streaming });
+        world.windowOrigin = windowOrigin;
+        materials.forEach(material => world.addMaterial(material));
+        const channels = world.channels;
+        const elementBytes = world.BrickArray.BYTES_PER_ELEMENT;
+        const runBytes = 2 + channels * elementBytes;
+        const coarseOrigin = windowOrigin.map(o => o * CHUNK_SIZE);
+
+        const value = new Array(channels);
+        for (let b = 0; b < brickCount; b++) {
+            if (offset + 8 > buffer.byteLength) {
+                throw new Error('Invalid world file: truncated brick table');
+            }
+            const coarseIdx = view.getUint32(offset, true);
+            const length = view.getUint32(offset + 4, true);
+            offset += 8;
+            if (coarseIdx >= coarseSize * coarseSize * coarseSize || offset + length > buffer.byteLength) {
+                throw new Error('Invalid world file: corrupt brick entry');
+            }
+
+            const cx = coarseOrigin[0] + coarseIdx % coarseSize;
+            const cy = coarseOrigin[1] + Math.floor(coarseIdx / coarseSize) % coarseSize;
+            const cz = coarseOrigin[2] + Math.floor(coarseIdx / (coarseSize * coarseSize));
+            const { brick } = world._getOrCreateBrick(cx, cy, cz);
+
+            // Decode RLE runs
+            let voxel = 0;
+            const end = offset + length;
+            while (offset + runBytes <= end) {
+                const run = bytes[offset] | (bytes[offset + 1] << 8);
+                if (voxel + run > voxelsPerBrick) {
+                    throw new Error('Invalid world file: brick run overflow');
+                }
+                let o = offset + 2;
+                for (let c = 0; c < channels; c++) {
+                    value[c] = elementBytes === 2 ? bytes[o] | (bytes[o + 1] << 8) : bytes[o];
+                    o += elementBytes;
+                }
+                for (let i = 0; i < run; i++) {
+                    const dst = (voxel + i) * channels;
+                    for (let c = 0; c < channels; c++) brick[dst + c] = value[c];
+                }
+                voxel += run;
+                offset += runBytes;
+            }
+            if (voxel !== voxelsPerBrick || offset !== end) {
+                throw new Error('Invalid world file: incomplete brick data');
+            }
+        }
+
+        // Only chunks that were never filled (or came out empty) are left to generate
+        if (streaming) {
+            world.pendingChunks = world._chunksInWindow(windowOrigin)
+                .filter(c => world.topGrid[world._getTopIndex(c[0], c[1], c[2])] === 0);
+        }
+
+        world.countVoxels();
+        return world;
+    }
+}
+
+// ============================================================================
+// Frame Profiler
+// ============================================================================
+
+// Times named scopes of each frame: on the GPU with EXT_disjoint_timer_query_webgl2
+// when available, otherwise on the CPU with a gl.finish() at the end of every
+// scope (which stalls the pipeline, so it's only the fallback; without a gl,
+// as under the CPU renderer, scopes are plain wall-clock times). GPU results
+// arrive a few frames late; onFrame(frame) reports each frame as it resolves.
+// A scope used several times in a frame counts once, with the times summed.
+// Scopes can't nest (a WebGL2 timer query can't be open inside another).
+class FrameProfiler {
+    constructor(gl) {
+        this.gl = gl;
+        this.timerExt = gl ? gl.getExtension('EXT_disjoint_timer_query_webgl2') : null;
+        this.mode = this.timerExt ? 'gpu' : 'cpu';
+        this.enabled = true;
+        this.onFrame = null;  // ({ index, mode, scopes: { name: ms }, total }) per resolved frame
+        
+        this.history = new Map();  // Scope name (and 'total') -> recent per-frame ms
+        this.frameIndex = 0;
+        this.frame = null;  // Frame being recorded: { index, scopes: [{ name, query | ms }], timed }
+        this.active = null;  // Open scope: { name, query, start }
+        this.pending = [];  // Ended GPU frames awaiting query results
+    }
+    
+    begin(name) {
+        if (!this.enabled) return;
+        if (this.active) {
+            throw new Error(`Profiler scope '${name}' opened inside '${this.active.name}'`);
+        }
+        if (!this.frame) {
+            // Too many unresolved frames (e.g. a hidden tab): leave this one untimed
+            this.frame = { index: this.frameIndex, scopes: [], timed: this.pending.length < PROFILER_MAX_PENDING };
+        }
+        
+        this.active = { name, query: null, start: 0 };
+        if (this.mode === 'gpu') {
+            if (!this.frame.timed) return;
+            this.active.query = this.gl.createQuery();
+            this.gl.beginQuery(this.timerExt.TIME_ELAPSED_EXT, this.active.query);
+        } else {
+            this.active.start = performance.now();
+        }
+    }
+    
+    end(name) {
+        const active = this.active;
+        if (!active) return;
+        if (active.name !== name) {
+            throw new Error(`Profiler scope '${name}' ended while '${active.name}' is open`);
+        }
+        this.active = null;
+        
+        if (this.mode === 'gpu') {
+            if (!active.query) return;
+            this.gl.endQuery(this.timerExt.TIME_ELAPSED_EXT);
+            this.frame.scopes.push({ name, query: active.query });
+        } else {
+            if (this.gl) this.gl.finish();
+            this.frame.scopes.push({ name, ms: performance.now() - active.start });
+        }
+    }
+    
+    // Time fn() as a scope and return its result
+    measure(name, fn) {
+        this.begin(name);
+        try {
+            return fn();
+        } finally {
+            this.end(name);
+        }
+    }
+    
+    // Close the frame (scopes begun since the last call belong to it) and
+    // collect any finished GPU results
+    endFrame() {
+        const frame = this.frame;
+        this.frame = null;
+        this.frameIndex++;
+        
+        if (frame && frame.scopes.length > 0) {
+            if (this.mode === 'gpu') {
+                this.pending.push(frame);
+            } else {
+                this._record(frame.index, frame.scopes);
+            }
+        }
+        this.collect();
+    }
+    
+    // Record GPU frames whose queries have resolved, oldest first. A disjoint
+    // event (e.g. a GPU clock change) makes every pending result unreliable.
+    collect() {
+        if (this.pending.length === 0) return;
+        const gl = this.gl;
+        
+        if (gl.getParameter(this.timerExt.GPU_DISJOINT_EXT)) {
+            for (const frame of this.pending) {
+                frame.scopes.forEach(scope => gl.deleteQuery(scope.query));
+            }
+            this.pending = [];
+            return;
+        }
+        
+        while (this.pending.length > 0) {
+            const frame = this.pending[0];
+            const last = frame.scopes[frame.scopes.length - 1].query;
+            if (!gl.getQueryParameter(last, gl.QUERY_RESULT_AVAILABLE)) break;
+            
+            this.pending.shift();
+            const scopes = frame.scopes.map(scope => {
+                const ms = gl.getQueryParameter(scope.query, gl.QUERY_RESULT) / 1e6;
+                gl.deleteQuery(scope.query);
+                return { name: scope.name, ms };
+            });
+            this._record(frame.index, scopes);
+        }
+    }
+    
+    _record(index, scopes) {
+        const times = {};
+        let total = 0;
+        for (const scope of scopes) {
+            times[scope.name] = (times[scope.name] || 0) + scope.ms;
+            total += scope.ms;
+        }
+        for (const [name, ms] of Object.entries(times).concat([['total', total]])) {
+            if (!this.history.has(name)) this.history.set(name, []);
+            const samples = this.history.get(name);
+            samples.push(ms);
+            if (samples.length > PROFILER_HISTORY) samples.shift();
+        }
+        if (this.onFrame) this.onFrame({ index, mode: this.mode, scopes: times, total });
+    }
+    
+    // Rolling { last, min, avg, p95, count } of a scope ('total' = whole
+    // frame) over the last PROFILER_HISTORY frames it ran in, or null
+    getStats(name = 'total') {
+        const samples = this.history.get(name);
+        if (!samples || samples.length === 0) return null;
+        
+        const sorted = samples.slice().sort((a, b) => a - b);
+        const count = sorted.length;
+        return {
+            last: samples[count - 1],
+            min: sorted[0],
+            avg: sorted.reduce((a, b) => a + b, 0) / count,
+            p95: sorted[Math.min(count - 1, Math.ceil(count * 0.95) - 1)],
+            count
+        };
+    }
+    
+    // Names of the scopes with statistics, excluding 'total'
+    getScopeNames() {
+        return [...this.history.keys()].filter(name => name !== 'total');
+    }
+    
+    // Frames ended but still waiting on GPU results
+    getPendingFrameCount() {
+        return this.pending.length;
+    }
+    
+    // Forget the statistics and any GPU frames still awaiting results
+    reset() {
+        this.history.clear();
+        for (const frame of this.pending) {
+            frame.scopes.forEach(scope => this.gl.deleteQuery(scope.query));
+        }
+        this.pending = [];
+    }
+}
+
+// ============================================================================
+// CPU Renderer
+// ============================================================================
+
+// Traces a BrickMapWorld on the CPU with the fragment shader's direct lighting:
+// the sun and added lights (the lantern included) with shadows through glass,
+// per-face AO, specular and metal sky reflections, emission, transparent
+// layers, fog, the sky and the build highlight. Path tracing stays GPU only.
+// VoxelEngine draws with it when WebGL2 is unavailable; on its own it renders
+// any engine's current view as a reference for the GPU output.
+class CpuRenderer {
+    constructor(engine) {
+        this.engine = engine;
+        this.frame = null;  // Per-render state (see _beginFrame)
+    }
+    
+    // Render the engine's view into an ImageData (a plain { width, height, data }
+    // outside the browser) with top-down rows, quantized like an RGBA8 target
+    render(width, height) {
+        if (!this.engine.world) throw new Error('No world to render');
+        
+        const image = typeof ImageData !== 'undefined' ? new ImageData(width, height)
+            : { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        const data = image.data;
+        this._beginFrame(width, height);
+        try {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    // Pixel centers as in gl_FragCoord, whose rows run bottom-up
+                    const color = this._shadePixel(x + 0.5, height - y - 0.5);
+                    const o = (y * width + x) * 4;
+                    data[o] = color[0] * 255;
+                    data[o + 1] = color[1] * 255;
+                    data[o + 2] = color[2] * 255;
+                    data[o + 3] = 255;
+                }
+            }
+        } finally {
+            this.frame = null;
+        }
+        return image;
+    }
+    
+    // Gather what the shader gets as uniforms and textures
+    _beginFrame(width, height) {
+        const engine = this.engine;
+        const settings = engine.settings;
+        const camera = engine.camera;
+        
+        const lighting = engine._skyLighting();
+        engine._updateLantern();
+        
+        // Light records as uploaded by _uploadLights, directional lights first
+        const lights = engine.getLights();
+        const ordered = lights.filter(light => light.type === 'directional')
+            .concat(lights.filter(light => light.type !== 'directional'));
+        const records = ordered.map(light => ({
+            type: LIGHT_TYPES[light.type],
+            position: light.position,
+            direction: engine._normalize(light.direction),
+            range: light.range,
+            color: light.color.map(c => c * light.intensity),
+            castShadows: light.castShadows,
+            cosInner: Math.cos(light.innerAngle),
+            cosOuter: Math.cos(light.outerAngle)
+        }));
+        
+        const halfHeight = Math.tan(camera.fov * Math.PI / 360);
+        this.frame = {
+            width,
+            height,
+            pixel: [0, 0],
+            settings,
+            cameraPos: camera.position.slice(),
+            cameraDir: camera.getDirection(),
+            cameraUp: camera.getUp(),
+            cameraRight: camera.getRight(),
+            halfWidth: halfHeight * width / height,
+            halfHeight,
+            ...lighting,  // sky, lightDirection, lightColor, skyColorTop/Bottom, fogColor
+            lights: records,
+            materialTable: engine.world.buildMaterialTable(),
+            shadowSamples: settings.softShadows ? Math.max(1, Math.min(16, settings.shadowSamples)) : 1
+        };
+    }
+    
+    // Color of one pixel (main() of the shader without path tracing)
+    _shadePixel(px, py) {
+        const frame = this.frame;
+        const settings = frame.settings;
+        frame.pixel[0] = px;
+        frame.pixel[1] = py;
+        
+        const u = px / frame.width * 2 - 1;
+        const v = py / frame.height * 2 - 1;
+        const rayDir = CpuRenderer._normalize(frame.cameraDir.map((d, a) =>
+            d + frame.cameraRight[a] * u * frame.halfWidth + frame.cameraUp[a] * v * frame.halfHeight));
+        const screenY = py / frame.height;
+        
+        const hit = this._trace(frame.cameraPos, rayDir, settings.maxSteps);
+        if (!hit) return this._skyBackground(rayDir, screenY);
+        
+        let color;
+        if (settings.showNormals) {
+            color = hit.normal.map(n => n * 0.5 + 0.5);
+        } else {
+            // Walk through transparent voxels; each layer adds its lit surface
+            // and tints the light reaching the layers behind it
+            const worldSize = this.engine.world.worldSize;
+            let throughput = [1, 1, 1];
+            let origin = frame.cameraPos;
+            let travelled = 0;
+            let layerHit = hit;
+            color = [0, 0, 0];
+            
+            for (let layer = 0; layer < MAX_TRANSPARENT_LAYERS; layer++) {
+                if (!layerHit) {
+                    const sky = this._skyBackground(rayDir, screenY);
+                    color = color.map((c, i) => c + throughput[i] * sky[i]);
+                    break;
+                }
+                
+                const props = layerHit.props;
+                const hitPoint = origin.map((o, a) => o + rayDir[a] * layerHit.distance);
+                const ao = settings.ambientOcclusion ? this._faceAO(layerHit, hitPoint) : 1;
+                let surface = this._shadeSurface(layerHit, hitPoint, rayDir, props, ao);
+                
+                // Distance fog
+                const fog = Math.min(1, Math.max(0, (travelled + layerHit.distance) * settings.fogDensity / worldSize)) * 0.8;
+                surface = surface.map((c, i) => c + (frame.fogColor[i] - c) * fog);
+                
+                // The last layer is treated as opaque
+                const transparency = layer === MAX_TRANSPARENT_LAYERS - 1 ? 0 : props[3];
+                color = color.map((c, i) => c + throughput[i] * surface[i] * (1 - transparency));
+                if (transparency <= 0) break;
+                
+                throughput = throughput.map((t, i) => t * transparency * layerHit.baseColor[i]);
+                const exitDist = CpuRenderer._exitDistance(origin, rayDir, layerHit.position) + 0.001;
+                travelled += exitDist;
+                origin = origin.map((o, a) => o + rayDir[a] * exitDist);
+                layerHit = this._trace(origin, rayDir, settings.maxSteps);
+            }
+        }
+        
+        // Outline the targeted voxel (build mode)
+        const highlight = settings.highlightVoxel;
+        if (highlight && hit.position.every((p, a) => p === highlight[a])) {
+            const local = frame.cameraPos.map((c, a) => c + rayDir[a] * hit.distance - hit.position[a]);
+            const edgeDist = Math.min(...local.map((l, a) => Math.min(l, 1 - l) + Math.abs(hit.normal[a])));
+            const amount = edgeDist < 0.06 ? 0.85 : 0.15;
+            color = color.map(c => c + (1 - c) * amount);
+        }
+        return color;
+    }
+    
+    // First voxel along a ray with its linear color and material properties
+    // (x = emissive, y = roughness, z = metalness, w = transparency), or null
+    _trace(origin, direction, maxSteps) {
+        const world = this.engine.world;
+        const hit = world.raycast(origin, direction, Infinity, maxSteps);
+        if (!hit) return null;
+        
+        const table = this.frame.materialTable.data;
+        const material = world.getMaterial(hit.position[0], hit.position[1], hit.position[2]) || 0;
+        const o = material * 8 + 4;
+        hit.baseColor = [hit.color.r / 255, hit.color.g / 255, hit.color.b / 255];
+        hit.props = [table[o] / 255 * MATERIAL_MAX_EMISSIVE, table[o + 1] / 255, table[o + 2] / 255, table[o + 3] / 255];
+        return hit;
+    }
+    
+    // Direct lighting of a surface point (sun and added lights) plus its own emission
+    _shadeSurface(hit, hitPoint, rayDir, props, ao) {
+        const frame = this.frame;
+        const settings = frame.settings;
+        const normal = hit.normal;
+        const lightDir = frame.lightDirection;
+        const baseColor = hit.baseColor;
+        
+        // Metals tint their highlights and lose their diffuse term
+        const [emissive, roughness, metalness] = props;
+        const diffuseColor = baseColor.map(c => c * (1 - metalness));
+        const specularColor = baseColor.map(c => 0.04 + (c - 0.04) * metalness);
+        
+        // Sun/moon diffuse and a specular highlight, sharper for smooth materials
+        const diffuse = Math.max(0.3, CpuRenderer._dot(normal, lightDir)) * ao;
+        const halfDir = CpuRenderer._normalize(lightDir.map((l, a) => l - rayDir[a]));
+        const shininess = 256 + (4 - 256) * roughness;
+        const specular = Math.pow(Math.max(CpuRenderer._dot(normal, halfDir), 0), shininess) * (1 - roughness);
+        
+        // Sun shadow; the darkness leaves some sky light in shadowed areas
+        const shadowOrigin = hitPoint.map((p, a) => p + normal[a] * SHADOW_BIAS);
+        const sunVisibility = this._lightVisibility(shadowOrigin, lightDir, 1e30, Math.tan(settings.sunAngularRadius));
+        const darkness = settings.shadowDarkness;
+        
+        let color = diffuseColor.map((d, i) => (d * diffuse + specularColor[i] * specular) *
+            frame.lightColor[i] * (1 - darkness + darkness * sunVisibility[i]));
+        
+        // Metals reflect the sky in place of the diffuse term they lost
+        const reflectDot = CpuRenderer._dot(rayDir, normal);
+        const skyReflection = this._skyRadiance(rayDir.map((d, a) => d - 2 * reflectDot * normal[a]));
+        const reflectance = metalness * (1 - 0.5 * roughness) * ao;
+        color = color.map((c, i) => c + specularColor[i] * skyReflection[i] * reflectance);
+        
+        // Added lights, then emission regardless of lighting
+        for (const light of frame.lights) {
+            const lit = this._shadeLight(light, hit, hitPoint, shadowOrigin, diffuseColor);
+            if (lit) color = color.map((c, i) => c + lit[i]);
+        }
+        return color.map((c, i) => c + baseColor[i] * emissive);
+    }
+    
+    // One light's diffuse contribution to a surface point, or null for none.
+    // The shader only visits the lights listed for the hit's chunk, which are
+    // exactly those whose range can reach it.
+    _shadeLight(light, hit, hitPoint, shadowOrigin, diffuseColor) {
+        let toLight, distToLight;
+        let attenuation = 1;
+        if (light.type === LIGHT_TYPES.directional) {
+            toLight = light.direction.map(d => -d);
+            distToLight = 1e30;
+        } else {
+            const delta = light.position.map((p, a) => p - hitPoint[a]);
+            distToLight = Math.hypot(delta[0], delta[1], delta[2]);
+            if (distToLight >= light.range) return null;
+            toLight = delta.map(d => d / distToLight);
+            
+            // Smooth falloff reaching zero at the light's range
+            const falloff = 1 - (distToLight * distToLight) / (light.range * light.range);
+            attenuation = falloff * falloff;
+            
+            if (light.type === LIGHT_TYPES.spot) {
+                attenuation *= smoothstep(light.cosOuter, light.cosInner, -CpuRenderer._dot(toLight, light.direction));
+            }
+        }
+        
+        const diffuse = Math.max(0, CpuRenderer._dot(hit.normal, toLight)) * attenuation;
+        if (diffuse <= 0) return null;
+        
+        let visibility = [1, 1, 1];
+        if (light.castShadows) {
+            const spread = light.type === LIGHT_TYPES.directional ?
+                Math.tan(this.frame.settings.sunAngularRadius) : this.frame.settings.lightRadius / distToLight;
+            visibility = this._lightVisibility(shadowOrigin, toLight, distToLight, spread);
+        }
+        return diffuseColor.map((c, i) => c * light.color[i] * diffuse * visibility[i]);
+    }
+    
+    // Fraction of a light reaching a point (per channel, through glass),
+    // averaged over the light's disk when shadows are soft
+    _lightVisibility(origin, lightDir, lightDist, spread) {
+        const settings = this.frame.settings;
+        if (!settings.enableShadows) return [1, 1, 1];
+        
+        const samples = spread > 0 ? this.frame.shadowSamples : 1;
+        const visibility = [0, 0, 0];
+        for (let i = 0; i < samples; i++) {
+            let dir = lightDir;
+            if (samples > 1) {
+                const offset = this._diskSample(lightDir, spread, i, samples);
+                dir = CpuRenderer._normalize(lightDir.map((d, a) => d + offset[a]));
+            }
+            const transmittance = this._traceShadow(origin, dir, lightDist - 0.5);
+            for (let c = 0; c < 3; c++) visibility[c] += transmittance[c];
+        }
+        return visibility.map(v => v / samples);
+    }
+    
+    // Shadow ray: 1 when unoccluded, 0 when blocked by an opaque voxel, tinted
+    // in between through glass
+    _traceShadow(origin, direction, maxDist) {
+        const shadowSteps = this.frame.settings.shadowSteps;
+        let transmittance = [1, 1, 1];
+        let rayOrigin = origin;
+        let travelled = 0;
+        
+        for (let layer = 0; layer < MAX_TRANSPARENT_LAYERS; layer++) {
+            const blocker = this._trace(rayOrigin, direction, shadowSteps);
+            if (!blocker || travelled + blocker.distance >= maxDist) break;
+            
+            const transparency = blocker.props[3];
+            if (transparency <= 0 || layer === MAX_TRANSPARENT_LAYERS - 1) return [0, 0, 0];
+            
+            transmittance = transmittance.map((t, i) => t * transparency * blocker.baseColor[i]);
+            const exitDist = CpuRenderer._exitDistance(rayOrigin, direction, blocker.position) + 0.001;
+            travelled += exitDist;
+            rayOrigin = rayOrigin.map((o, a) => o + direction[a] * exitDist);
+        }
+        return transmittance;
+    }
+    
+    // Jittered point on a disk perpendicular to dir, stratified by angle and
+    // seeded by the pixel like the shader's diskSample
+    _diskSample(dir, radius, index, count) {
+        const tangent = CpuRenderer._normalize(CpuRenderer._cross(dir, Math.abs(dir[1]) < 0.99 ? [0, 1, 0] : [1, 0, 0]));
+        const bitangent = CpuRenderer._cross(dir, tangent);
+        const pixel = this.frame.pixel;
+        const rnd = CpuRenderer._hash22(pixel[0] + index * 17, pixel[1] + index * 59);
+        const angle = (index + rnd[0]) / count * Math.PI * 2;
+        const r = Math.sqrt(rnd[1]) * radius;
+        return tangent.map((t, a) => (t * Math.cos(angle) + bitangent[a] * Math.sin(angle)) * r);
+    }
+    
+    // Per-face ambient occlusion at a point on the hit face, interpolated from
+    // the occupancy of the voxels around the face in the layer in front of it
+    _faceAO(hit, hitPoint) {
+        const normal = hit.normal;
+        const front = hit.position.map((p, a) => p + normal[a]);
+        const tu = normal[0] !== 0 ? [0, 1, 0] : [1, 0, 0];
+        const tv = normal[2] !== 0 ? [0, 1, 0] : [0, 0, 1];
+        const local = hitPoint.map((p, a) => Math.min(1, Math.max(0, p - hit.position[a])));
+        const u = CpuRenderer._dot(local, tu);
+        const v = CpuRenderer._dot(local, tv);
+        
+        const solid = (du, dv) => {
+            const voxel = this.engine.world.getVoxel(front[0] + tu[0] * du + tv[0] * dv,
+                front[1] + tu[1] * du + tv[1] * dv, front[2] + tu[2] * du + tv[2] * dv);
+            return !!voxel && voxel.a > 0;
+        };
+        const corner = (side1, side2, diagonal) =>
+            side1 && side2 ? 0 : (3 - side1 - side2 - diagonal) / 3;
+        
+        const u0 = solid(-1, 0), u1 = solid(1, 0), v0 = solid(0, -1), v1 = solid(0, 1);
+        const ao00 = corner(u0, v0, solid(-1, -1));
+        const ao10 = corner(u1, v0, solid(1, -1));
+        const ao01 = corner(u0, v1, solid(-1, 1));
+        const ao11 = corner(u1, v1, solid(1, 1));
+        
+        const bottom = ao00 + (ao10 - ao00) * u;
+        const top = ao01 + (ao11 - ao01) * u;
+        const ao = bottom + (top - bottom) * v;
+        return 1 + (ao - 1) * this.frame.settings.aoStrength;
+    }
+    
+    // ------------------------------------------------------------------------
+    // Sky
+    // ------------------------------------------------------------------------
+    
+    // Sky light arriving from a direction (reflections)
+    _skyRadiance(dir) {
+        const { sky, skyColorTop, skyColorBottom } = this.frame;
+        if (!sky) {
+            const t = dir[1] * 0.5 + 0.5;
+            return skyColorBottom.map((c, i) => c + (skyColorTop[i] - c) * t);
+        }
+        return atmosphereSkyColor(dir, sky.sun, sky.coefficients);
+    }
+    
+    // What a camera ray that escapes the world sees; the gradient sky is laid
+    // out over the screen, screenY being 0 at the bottom and 1 at the top
+    _skyBackground(dir, screenY) {
+        const { sky, skyColorTop, skyColorBottom } = this.frame;
+        if (!sky) {
+            return skyColorTop.map((c, i) => c + (skyColorBottom[i] - c) * screenY);
+        }
+        const objects = this._skyObjects(dir);
+        return atmosphereSkyColor(dir, sky.sun, sky.coefficients).map((c, i) => c + objects[i]);
+    }
+    
+    // Sun disk, moon disk and stars seen along a direction (atmosphere sky only)
+    _skyObjects(dir) {
+        if (dir[1] < 0) return [0, 0, 0];
+        const { settings, sky } = this.frame;
+        const night = 1 - smoothstep(-0.1, 0.1, sky.sun[1]);
+        
+        const sunEdge = Math.cos(settings.sunAngularRadius);
+        const sunDisk = 4 * smoothstep(sunEdge - 0.00005, sunEdge, CpuRenderer._dot(dir, sky.sun));
+        const moonEdge = Math.cos(MOON_ANGULAR_RADIUS);
+        const moonDisk = night * smoothstep(moonEdge - 0.00005, moonEdge, -CpuRenderer._dot(dir, sky.sun));
+        
+        const star = CpuRenderer._hash31(dir.map(d => Math.floor(d * 400)));
+        const starLight = (star >= 0.9985 ? 1 : 0) * night * CpuRenderer._fract(star * 97);
+        return [0.8, 0.8, 0.75].map((m, i) => sky.sunColor[i] * sunDisk + m * moonDisk + starLight);
+    }
+    
+    // ------------------------------------------------------------------------
+    // Math (GLSL equivalents)
+    // ------------------------------------------------------------------------
+    
+    static _dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+    
+    static _cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
     }
     
-    // Get dirty bricks and clear the dirty set
-    getDirtyBricksAndClear() {
-        const dirty = Array.from(this.dirtyBricks);
-        this.dirtyBricks.clear();
-        const coarseDirty = this.coarseGridDirty;
-        this.coarseGridDirty = false;
-        return { bricks: dirty, coarseGridDirty: coarseDirty };
+    static _normalize(v) {
+        const len = Math.hypot(v[0], v[1], v[2]);
+        return [v[0] / len, v[1] / len, v[2] / len];
     }
     
-    // Mark all bricks as dirty (for full upload)
-    markAllDirty() {
-        for (const brickIndex of this.bricks.keys()) {
-            this.dirtyBricks.add(brickIndex);
-        }
-        this.coarseGridDirty = true;
+    static _fract(x) {
+        return x - Math.floor(x);
     }
     
-    countVoxels() {
-        this.voxelCount = 0;
-        for (const brick of this.bricks.values()) {
-            for (let i = 3; i < brick.length; i += 4) {
-                if (brick[i] > 0) this.voxelCount++;
-            }
+    // Distance along a ray to the far side of a voxel (voxelExitDistance)
+    static _exitDistance(origin, direction, voxelPos) {
+        let tFar = Infinity;
+        for (let a = 0; a < 3; a++) {
+            const d = Math.abs(direction[a]) < 1e-8 ? (direction[a] >= 0 ? 1e-8 : -1e-8) : direction[a];
+            const t0 = (voxelPos[a] - origin[a]) / d;
+            const t1 = (voxelPos[a] + 1 - origin[a]) / d;
+            tFar = Math.min(tFar, Math.max(t0, t1));
         }
-        return this.voxelCount;
+        return tFar;
     }
     
-    // Build atlas texture data for GPU
-    buildAtlas() {
-        const maxBricks = this.atlasSize * this.atlasSize * this.atlasSize;
-        if (this.brickCount > maxBricks) {
-            console.warn(`WARNING: Brick count (${this.brickCount}) exceeds atlas capacity (${maxBricks}). Some voxels will be invisible!`);
-        }
-
-        const atlasVoxelSize = this.atlasSize * this.brickSize;
-        this.brickAtlasData = new Uint8Array(atlasVoxelSize * atlasVoxelSize * atlasVoxelSize * 4);
-
-        for (const [brickIndex, brickData] of this.bricks) {
-            // Skip bricks that exceed atlas capacity
-            if (brickIndex > maxBricks) continue;
-
-            const idx = brickIndex - 1;  // Convert to 0-based
-            const ax = idx % this.atlasSize;
-            const ay = Math.floor(idx / this.atlasSize) % this.atlasSize;
-            const az = Math.floor(idx / (this.atlasSize * this.atlasSize));
-            
-            // Copy brick data to atlas
-            for (let lz = 0; lz < this.brickSize; lz++) {
-                for (let ly = 0; ly < this.brickSize; ly++) {
-                    for (let lx = 0; lx < this.brickSize; lx++) {
-                        const srcIdx = (lx + ly * this.brickSize + lz * this.brickSize * this.brickSize) * 4;
-                        
-                        const atlasX = ax * this.brickSize + lx;
-                        const atlasY = ay * this.brickSize + ly;
-                        const atlasZ = az * this.brickSize + lz;
-                        const dstIdx = (atlasX + atlasY * atlasVoxelSize + atlasZ * atlasVoxelSize * atlasVoxelSize) * 4;
-                        
-                        this.brickAtlasData[dstIdx] = brickData[srcIdx];
-                        this.brickAtlasData[dstIdx + 1] = brickData[srcIdx + 1];
-                        this.brickAtlasData[dstIdx + 2] = brickData[srcIdx + 2];
-                        this.brickAtlasData[dstIdx + 3] = brickData[srcIdx + 3];
-                    }
-                }
-            }
-        }
-        
-        return this.brickAtlasData;
+    // Per-pixel pseudo-random pair in [0, 1) (hash22)
+    static _hash22(x, y) {
+        const fract = CpuRenderer._fract;
+        let p = [fract(x * 0.1031), fract(y * 0.1030), fract(x * 0.0973)];
+        const d = p[0] * (p[1] + 33.33) + p[1] * (p[2] + 33.33) + p[2] * (p[0] + 33.33);
+        p = p.map(c => c + d);
+        return [fract((p[0] + p[1]) * p[2]), fract((p[0] + p[2]) * p[1])];
     }
     
-    getMemoryUsage() {
-        const coarseBytes = this.coarseGrid.byteLength;
-        const brickBytes = this.brickCount * this.brickSize * this.brickSize * this.brickSize * 4;
-        return {
-            coarseGrid: coarseBytes,
-            bricks: brickBytes,
-            total: coarseBytes + brickBytes,
-            totalMB: (coarseBytes + brickBytes) / (1024 * 1024)
-        };
+    // Pseudo-random value in [0, 1) for a lattice point (hash31)
+    static _hash31(v) {
+        const fract = CpuRenderer._fract;
+        let p = v.map(c => fract(c * 0.1031));
+        const d = p[0] * (p[2] + 31.32) + p[1] * (p[1] + 31.32) + p[2] * (p[0] + 31.32);
+        p = p.map(c => c + d);
+        return fract((p[0] + p[1]) * p[2]);
     }
 }
 
@@ -811,39 +3896,86 @@ class VoxelEngine {
         this.canvas = canvas;
         this.gl = canvas.getContext('webgl2');
         
-        if (!this.gl) {
-            throw new Error('WebGL2 not supported');
-        }
+        // Without WebGL2 the CPU renderer draws through a 2D context (a canvas
+        // with neither, e.g. headless, still renders with renderToImage)
+        this.backend = this.gl ? 'webgl2' : 'cpu';
+        this.cpuRenderer = this.gl ? null : new CpuRenderer(this);
+        this.context2d = this.gl ? null : canvas.getContext('2d');
         
         // Settings
         this.settings = {
             maxSteps: 256,
             showNormals: false,
             enableShadows: true,
+            shadowSteps: 128,  // Step budget per shadow ray (top grid + coarse cells)
+            shadowDarkness: 0.7,  // Sun shadows: 0 = none, 1 = black
+            softShadows: false,
+            shadowSamples: 4,  // Rays per light when soft (max 16)
+            sunAngularRadius: 0.03,  // radians
+            lightRadius: 1.0,  // Point/spot light size in voxels
+            ambientOcclusion: true,
+            aoStrength: 0.7,  // 0-1, how dark fully occluded corners get
             fogDensity: 1.5,
             skyColorTop: [0.1, 0.1, 0.44],
             skyColorBottom: [0.53, 0.81, 0.92],
+            fogColor: null,  // null = halfway between the sky colors
             lightDirection: this._normalize([0.5, 0.8, 0.3]),
-            lanternEnabled: false,
-            lanternIntensity: 3.75,  // 50% stronger
+            lightColor: [1, 1, 1],
+            timeOfDay: null,  // Hours (0-24): atmosphere sky driving the light, sky and fog colors; null = gradient sky
+            turbidity: 3,  // Atmosphere haziness (2 = clear, 10 = hazy)
+            lanternEnabled: false,  // Spot light following the camera
+            lanternIntensity: 3.75,
             lanternConeAngle: 0.45,  // radians (~25 degrees)
-            orbLights: [],  // Array of {pos, dir, color}
-            orbIntensity: 3.0  // 50% brighter
+            lanternRange: 80,
+            highlightVoxel: null,  // [x, y, z] voxel to outline, or null
+            pathTracing: false,  // Accumulate path-traced samples while the view is still
+            maxBounces: 4,  // Indirect bounces per path (max 8)
+            maxSamples: 1024  // Accumulation stops after this many samples
         };
         
         // Components
         this.camera = new Camera();
         this.world = null;
+        this.profiler = new FrameProfiler(this.gl);  // Scopes: upload, primary, post
         
         // WebGL resources
         this.program = null;
         this.vao = null;
-        this.coarseGridTexture = null;
+        this.topGridTexture = null;
+        this.chunkPoolTexture = null;
         this.brickAtlasTexture = null;
+        this.materialTableTexture = null;
+        this.placeholderTextures = null;  // Bound to whichever atlas sampler is unused
         this.locations = {};
         
+        // Path tracing accumulation (float render targets, ping-ponged)
+        this.displayProgram = null;
+        this.floatRenderTargets = false;
+        this.accumulation = null;  // { width, height, textures, framebuffers, read }
+        this.accumulationKey = null;
+        this.sampleCount = 0;
+        
+        // Offscreen tile being drawn by renderToImage: { framebuffer, width, height, x, y, tileWidth, tileHeight }
+        this.renderTarget = null;
+        
+        // Lights (see addLight); uploaded with per-chunk light lists on render
+        this.lights = new Map();  // id -> Light
+        this.nextLightId = 1;
+        this.lightsDirty = true;
+        this.lightGridKey = null;  // Window origin and size the light grid was built for
+        this.lantern = null;  // Light driven by the lantern settings
+        this.lanternKey = null;  // Camera and settings the lantern was last placed for
+        this.directionalLightCount = 0;
+        this.lightDataTexture = null;
+        this.lightGridTexture = null;
+        this.lightIndexTexture = null;
+        
         // Initialize
-        this._initWebGL();
+        if (this.gl) {
+            this._initWebGL();
+        } else {
+            console.warn('WebGL2 not supported, rendering on the CPU');
+        }
     }
     
     _normalize(v) {
@@ -891,9 +4023,16 @@ class VoxelEngine {
         // Get uniform/attribute locations
         this.locations = {
             a_position: gl.getAttribLocation(this.program, 'a_position'),
-            u_coarseGrid: gl.getUniformLocation(this.program, 'u_coarseGrid'),
+            u_topGrid: gl.getUniformLocation(this.program, 'u_topGrid'),
+            u_chunkPool: gl.getUniformLocation(this.program, 'u_chunkPool'),
             u_brickAtlas: gl.getUniformLocation(this.program, 'u_brickAtlas'),
+            u_materialAtlas: gl.getUniformLocation(this.program, 'u_materialAtlas'),
+            u_materialTable: gl.getUniformLocation(this.program, 'u_materialTable'),
+            u_storageMode: gl.getUniformLocation(this.program, 'u_storageMode'),
             u_coarseGridSize: gl.getUniformLocation(this.program, 'u_coarseGridSize'),
+            u_topGridSize: gl.getUniformLocation(this.program, 'u_topGridSize'),
+            u_chunkPoolSize: gl.getUniformLocation(this.program, 'u_chunkPoolSize'),
+            u_windowOrigin: gl.getUniformLocation(this.program, 'u_windowOrigin'),
             u_atlasSize: gl.getUniformLocation(this.program, 'u_atlasSize'),
             u_brickSize: gl.getUniformLocation(this.program, 'u_brickSize'),
             u_cameraPos: gl.getUniformLocation(this.program, 'u_cameraPos'),
@@ -901,26 +4040,50 @@ class VoxelEngine {
             u_cameraUp: gl.getUniformLocation(this.program, 'u_cameraUp'),
             u_cameraRight: gl.getUniformLocation(this.program, 'u_cameraRight'),
             u_resolution: gl.getUniformLocation(this.program, 'u_resolution'),
+            u_tileOffset: gl.getUniformLocation(this.program, 'u_tileOffset'),
             u_fov: gl.getUniformLocation(this.program, 'u_fov'),
             u_maxSteps: gl.getUniformLocation(this.program, 'u_maxSteps'),
             u_showNormals: gl.getUniformLocation(this.program, 'u_showNormals'),
             u_enableShadows: gl.getUniformLocation(this.program, 'u_enableShadows'),
+            u_shadowSteps: gl.getUniformLocation(this.program, 'u_shadowSteps'),
+            u_shadowDarkness: gl.getUniformLocation(this.program, 'u_shadowDarkness'),
+            u_shadowSamples: gl.getUniformLocation(this.program, 'u_shadowSamples'),
+            u_sunAngularRadius: gl.getUniformLocation(this.program, 'u_sunAngularRadius'),
+            u_lightRadius: gl.getUniformLocation(this.program, 'u_lightRadius'),
+            u_aoEnabled: gl.getUniformLocation(this.program, 'u_aoEnabled'),
+            u_aoStrength: gl.getUniformLocation(this.program, 'u_aoStrength'),
             u_lightDir: gl.getUniformLocation(this.program, 'u_lightDir'),
+            u_lightColor: gl.getUniformLocation(this.program, 'u_lightColor'),
             u_skyColorTop: gl.getUniformLocation(this.program, 'u_skyColorTop'),
+            u_fogColor: gl.getUniformLocation(this.program, 'u_fogColor'),
+            u_skyModel: gl.getUniformLocation(this.program, 'u_skyModel'),
+            u_sunDir: gl.getUniformLocation(this.program, 'u_sunDir'),
+            u_sunColor: gl.getUniformLocation(this.program, 'u_sunColor'),
+            u_perezA: gl.getUniformLocation(this.program, 'u_perezA'),
+            u_perezB: gl.getUniformLocation(this.program, 'u_perezB'),
+            u_perezC: gl.getUniformLocation(this.program, 'u_perezC'),
+            u_perezD: gl.getUniformLocation(this.program, 'u_perezD'),
+            u_perezE: gl.getUniformLocation(this.program, 'u_perezE'),
+            u_skyZenith: gl.getUniformLocation(this.program, 'u_skyZenith'),
             u_skyColorBottom: gl.getUniformLocation(this.program, 'u_skyColorBottom'),
             u_fogDensity: gl.getUniformLocation(this.program, 'u_fogDensity'),
-            u_lanternEnabled: gl.getUniformLocation(this.program, 'u_lanternEnabled'),
-            u_lanternPos: gl.getUniformLocation(this.program, 'u_lanternPos'),
-            u_lanternDir: gl.getUniformLocation(this.program, 'u_lanternDir'),
-            u_lanternIntensity: gl.getUniformLocation(this.program, 'u_lanternIntensity'),
-            u_lanternConeAngle: gl.getUniformLocation(this.program, 'u_lanternConeAngle'),
-            u_numOrbLights: gl.getUniformLocation(this.program, 'u_numOrbLights'),
-            u_orbPositions: gl.getUniformLocation(this.program, 'u_orbPositions'),
-            u_orbDirections: gl.getUniformLocation(this.program, 'u_orbDirections'),
-            u_orbColors: gl.getUniformLocation(this.program, 'u_orbColors'),
-            u_orbIntensity: gl.getUniformLocation(this.program, 'u_orbIntensity'),
+            u_lightData: gl.getUniformLocation(this.program, 'u_lightData'),
+            u_lightGrid: gl.getUniformLocation(this.program, 'u_lightGrid'),
+            u_lightIndices: gl.getUniformLocation(this.program, 'u_lightIndices'),
+            u_directionalLightCount: gl.getUniformLocation(this.program, 'u_directionalLightCount'),
+            u_highlightEnabled: gl.getUniformLocation(this.program, 'u_highlightEnabled'),
+            u_highlightVoxel: gl.getUniformLocation(this.program, 'u_highlightVoxel'),
+            u_pathTrace: gl.getUniformLocation(this.program, 'u_pathTrace'),
+            u_frameIndex: gl.getUniformLocation(this.program, 'u_frameIndex'),
+            u_maxBounces: gl.getUniformLocation(this.program, 'u_maxBounces'),
+            u_accumulation: gl.getUniformLocation(this.program, 'u_accumulation'),
         };
         
+        // Path tracing renders into float textures, then copies them to the screen
+        this.floatRenderTargets = !!gl.getExtension('EXT_color_buffer_float');
+        this.displayProgram = this._createProgram(VERTEX_SHADER_SOURCE, DISPLAY_FRAGMENT_SHADER_SOURCE);
+        this.locations.u_image = gl.getUniformLocation(this.displayProgram, 'u_image');
+        
         // Create fullscreen quad
         const quadVerts = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
         const quadBuffer = gl.createBuffer();
@@ -932,70 +4095,253 @@ class VoxelEngine {
         gl.bindVertexArray(this.vao);
         gl.enableVertexAttribArray(this.locations.a_position);
         gl.vertexAttribPointer(this.locations.a_position, 2, gl.FLOAT, false, 0, 0);
+        
+        // 1×1×1 placeholders so every sampler has a texture of the right type
+        const createPlaceholder = (internalFormat, format, type, data) => {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_3D, texture);
+            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texImage3D(gl.TEXTURE_3D, 0, internalFormat, 1, 1, 1, 0, format, type, data);
+            return texture;
+        };
+        this.placeholderTextures = {
+            rgba: createPlaceholder(gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4)),
+            material: createPlaceholder(gl.R8UI, gl.RED_INTEGER, gl.UNSIGNED_BYTE, new Uint8Array(1))
+        };
     }
     
-    createWorld(coarseSize, brickSize = 8) {
-        this.world = new BrickMapWorld(coarseSize, brickSize);
-        this._createTextures();
-        return this.world;
+    // GL texture format of the brick atlas for the world's storage mode
+    _getAtlasFormat() {
+        const gl = this.gl;
+        switch (this.world.storage) {
+            case 'material8':
+                return { internalFormat: gl.R8UI, format: gl.RED_INTEGER, type: gl.UNSIGNED_BYTE };
+            case 'material16':
+                return { internalFormat: gl.R16UI, format: gl.RED_INTEGER, type: gl.UNSIGNED_SHORT };
+            default:
+                return { internalFormat: gl.RGBA8, format: gl.RGBA, type: gl.UNSIGNED_BYTE };
+        }
     }
     
+    createWorld(coarseSize, brickSize = 8, options = {}) {
+        this.world = new BrickMapWorld(coarseSize, brickSize, options);
+        if (this.gl) this._createTextures();
+        return this.world;
+    }
+
+    // Restore a world saved with BrickMapWorld.serialize() and upload it
+    loadWorld(buffer) {
+        this.world = BrickMapWorld.deserialize(buffer);
+        if (this.gl) this._createTextures();
+        this.uploadWorld();
+        return this.world;
+    }
+
     _createTextures() {
         const gl = this.gl;
         
         // Cleanup old textures
-        if (this.coarseGridTexture) gl.deleteTexture(this.coarseGridTexture);
+        if (this.topGridTexture) gl.deleteTexture(this.topGridTexture);
+        if (this.chunkPoolTexture) gl.deleteTexture(this.chunkPoolTexture);
         if (this.brickAtlasTexture) gl.deleteTexture(this.brickAtlasTexture);
+        if (this.materialTableTexture) gl.deleteTexture(this.materialTableTexture);
+        
+        // Create top grid texture (R32UI chunk indices, coarseSize / CHUNK_SIZE per axis)
+        this.topGridTexture = this._createIndexTexture();
+        const topSize = this.world.topSize;
+        gl.texImage3D(gl.TEXTURE_3D, 0, gl.R32UI, topSize, topSize, topSize, 
+                      0, gl.RED_INTEGER, gl.UNSIGNED_INT, this.world.topGrid);
+        
+        // Clamp atlas and chunk pool dimensions to the GPU's 3D texture limit
+        const maxTextureSize = gl.getParameter(gl.MAX_3D_TEXTURE_SIZE);
+        const maxBricksPerAxis = Math.floor(maxTextureSize / this.world.brickSize);
+        this.world.maxAtlasDims = [maxBricksPerAxis, maxBricksPerAxis, maxBricksPerAxis];
+        const maxChunksPerAxis = Math.floor(maxTextureSize / CHUNK_SIZE);
+        this.world.maxChunkPoolDims = [maxChunksPerAxis, maxChunksPerAxis, maxChunksPerAxis];
         
-        // Create coarse grid texture (R32UI - unsigned int)
-        this.coarseGridTexture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_3D, this.coarseGridTexture);
+        // Chunk pool sized for the current chunk count
+        this.world.fitChunkPool(this.world.nextChunkIndex - 1);
+        this.chunkPoolTexture = this._createChunkPoolTexture();
+        
+        // Initialize empty atlas sized for the current brick count
+        this.world.fitAtlas(this.world.nextBrickIndex - 1);
+        this.brickAtlasTexture = this._createAtlasTexture();
+        
+        // Material table (RGBA8 color + properties texels, MATERIAL_TABLE_WIDTH entries per row)
+        this.materialTableTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.materialTableTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        this._uploadMaterialTable();
+    }
+    
+    // Upload the world's material table (reallocated, it is tiny)
+    _uploadMaterialTable() {
+        const gl = this.gl;
+        const table = this.world.buildMaterialTable();
+        gl.bindTexture(gl.TEXTURE_2D, this.materialTableTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, table.width, table.height, 0,
+                      gl.RGBA, gl.UNSIGNED_BYTE, table.data);
+        this.world.materialsDirty = false;
+    }
+    
+    // Create a 3D texture for unsigned integer indices (nearest, clamped)
+    _createIndexTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_3D, texture);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
-        
-        const coarseSize = this.world.coarseSize;
-        gl.texImage3D(gl.TEXTURE_3D, 0, gl.R32UI, coarseSize, coarseSize, coarseSize, 
-                      0, gl.RED_INTEGER, gl.UNSIGNED_INT, this.world.coarseGrid);
-        
-        // Create brick atlas texture (RGBA8)
-        this.brickAtlasTexture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_3D, this.brickAtlasTexture);
+        return texture;
+    }
+    
+    // Allocate an empty chunk pool texture (R32UI brick indices) for chunkPoolDims
+    _createChunkPoolTexture() {
+        const gl = this.gl;
+        const texture = this._createIndexTexture();
+        const [px, py, pz] = this.world.chunkPoolDims;
+        gl.texImage3D(gl.TEXTURE_3D, 0, gl.R32UI, px * CHUNK_SIZE, py * CHUNK_SIZE, pz * CHUNK_SIZE,
+                      0, gl.RED_INTEGER, gl.UNSIGNED_INT, null);
+        return texture;
+    }
+    
+    _uploadTopGrid() {
+        const gl = this.gl;
+        const topSize = this.world.topSize;
+        gl.bindTexture(gl.TEXTURE_3D, this.topGridTexture);
+        gl.texSubImage3D(gl.TEXTURE_3D, 0, 0, 0, 0, topSize, topSize, topSize,
+                         gl.RED_INTEGER, gl.UNSIGNED_INT, this.world.topGrid);
+    }
+    
+    _uploadChunkPool() {
+        const gl = this.gl;
+        const [px, py, pz] = this.world.chunkPoolDims;
+        gl.bindTexture(gl.TEXTURE_3D, this.chunkPoolTexture);
+        gl.texSubImage3D(gl.TEXTURE_3D, 0, 0, 0, 0, px * CHUNK_SIZE, py * CHUNK_SIZE, pz * CHUNK_SIZE,
+                         gl.RED_INTEGER, gl.UNSIGNED_INT, this.world.buildChunkPool());
+    }
+    
+    // Reallocate the chunk pool when chunk indices outgrow it. Chunks are
+    // small (2KB), so the pool is simply re-uploaded from the CPU.
+    _growChunkPool() {
+        this.world.fitChunkPool(this.world.nextChunkIndex - 1, 1.5);
+        this.gl.deleteTexture(this.chunkPoolTexture);
+        this.chunkPoolTexture = this._createChunkPoolTexture();
+        this._uploadChunkPool();
+    }
+    
+    // Allocate an empty brick atlas texture for the world's atlasDims and storage mode
+    _createAtlasTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_3D, texture);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
         
-        // Initialize empty atlas
-        const atlasVoxelSize = this.world.atlasSize * this.world.brickSize;
-        gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA8, atlasVoxelSize, atlasVoxelSize, atlasVoxelSize,
-                      0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        const [ax, ay, az] = this.world.atlasDims;
+        const bs = this.world.brickSize;
+        const { internalFormat, format, type } = this._getAtlasFormat();
+        gl.texImage3D(gl.TEXTURE_3D, 0, internalFormat, ax * bs, ay * bs, az * bs,
+                      0, format, type, null);
+        return texture;
+    }
+    
+    // Build the atlas on the CPU and upload it in one call
+    _uploadAtlas() {
+        const gl = this.gl;
+        const [ax, ay, az] = this.world.atlasDims;
+        const bs = this.world.brickSize;
+        const { format, type } = this._getAtlasFormat();
+        
+        this.world.buildAtlas();
+        gl.bindTexture(gl.TEXTURE_3D, this.brickAtlasTexture);
+        gl.texSubImage3D(gl.TEXTURE_3D, 0, 0, 0, 0, ax * bs, ay * bs, az * bs,
+                         format, type, this.world.brickAtlasData);
+        this.world.brickAtlasData = null;  // Only needed for the upload
+    }
+    
+    // Reallocate the atlas when brick indices outgrow it. Existing bricks are
+    // copied layer by layer on the GPU; a re-layout re-uploads from the CPU.
+    _growAtlasTexture() {
+        const gl = this.gl;
+        const world = this.world;
+        const bs = world.brickSize;
+        const [oldX, oldY, oldZ] = world.atlasDims;
+        const oldTexture = this.brickAtlasTexture;
+        
+        const preserved = world.growAtlas(world.nextBrickIndex - 1);
+        this.brickAtlasTexture = this._createAtlasTexture();
+        
+        if (preserved) {
+            const framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, framebuffer);
+            for (let layer = 0; layer < oldZ * bs; layer++) {
+                gl.framebufferTextureLayer(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, oldTexture, 0, layer);
+                gl.copyTexSubImage3D(gl.TEXTURE_3D, 0, 0, 0, layer, 0, 0, oldX * bs, oldY * bs);
+            }
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+            gl.deleteFramebuffer(framebuffer);
+        } else {
+            this._uploadAtlas();
+        }
+        
+        gl.deleteTexture(oldTexture);
+    }
+    
+    // Repack brick indices and re-upload the atlas. Returns slots reclaimed.
+    compactWorld() {
+        if (!this.world) return 0;
+        const reclaimed = this.world.compact();
+        this.uploadWorld();
+        return reclaimed;
     }
     
     uploadWorld() {
         if (!this.world) return;
-        
+        if (!this.gl) {
+            this._syncCpuWorld();
+            return;
+        }
+        this.profiler.measure('upload', () => this._uploadWorld());
+    }
+    
+    _uploadWorld() {
         const gl = this.gl;
         
-        // Upload coarse grid
-        gl.bindTexture(gl.TEXTURE_3D, this.coarseGridTexture);
-        const coarseSize = this.world.coarseSize;
-        gl.texSubImage3D(gl.TEXTURE_3D, 0, 0, 0, 0, coarseSize, coarseSize, coarseSize,
-                         gl.RED_INTEGER, gl.UNSIGNED_INT, this.world.coarseGrid);
+        // Upload top grid, then the chunk pool resized to the actual chunk count
+        this._uploadTopGrid();
+        const oldPoolDims = this.world.chunkPoolDims.join();
+        this.world.fitChunkPool(this.world.nextChunkIndex - 1);
+        if (this.world.chunkPoolDims.join() !== oldPoolDims) {
+            gl.deleteTexture(this.chunkPoolTexture);
+            this.chunkPoolTexture = this._createChunkPoolTexture();
+        }
+        this._uploadChunkPool();
         
-        // Build and upload brick atlas
-        this.world.buildAtlas();
-        gl.bindTexture(gl.TEXTURE_3D, this.brickAtlasTexture);
-        const atlasVoxelSize = this.world.atlasSize * this.world.brickSize;
-        gl.texSubImage3D(gl.TEXTURE_3D, 0, 0, 0, 0, atlasVoxelSize, atlasVoxelSize, atlasVoxelSize,
-                         gl.RGBA, gl.UNSIGNED_BYTE, this.world.brickAtlasData);
+        // Resize the atlas to the actual brick count, then build and upload it
+        const oldDims = this.world.atlasDims.join();
+        this.world.fitAtlas(this.world.nextBrickIndex - 1);
+        if (this.world.atlasDims.join() !== oldDims) {
+            gl.deleteTexture(this.brickAtlasTexture);
+            this.brickAtlasTexture = this._createAtlasTexture();
+        }
+        this._uploadAtlas();
+        this._uploadMaterialTable();
+        this.resetAccumulation();
         
         // Clear dirty tracking since we uploaded everything
         this.world.dirtyBricks.clear();
-        this.world.coarseGridDirty = false;
+        this.world.dirtyChunks.clear();
+        this.world.topGridDirty = false;
         
         this.world.countVoxels();
     }
@@ -1003,28 +4349,68 @@ class VoxelEngine {
     // Incremental upload - only uploads changed bricks (FAST!)
     uploadDirtyBricks() {
         if (!this.world) return 0;
-        
+        if (!this.gl) return this._syncCpuWorld();
+        return this.profiler.measure('upload', () => this._uploadDirtyBricks());
+    }
+    
+    _uploadDirtyBricks() {
         const gl = this.gl;
-        const { bricks: dirtyBricks, coarseGridDirty } = this.world.getDirtyBricksAndClear();
         
-        if (dirtyBricks.length === 0 && !coarseGridDirty) return 0;
+        // New bricks may have outgrown the atlas
+        if (this.world.nextBrickIndex - 1 > this.world.getAtlasCapacity()) {
+            this._growAtlasTexture();
+        }
+        
+        // New chunks may have outgrown the pool (a regrown pool is uploaded whole)
+        const poolRegrown = this.world.nextChunkIndex - 1 > this.world.getChunkPoolCapacity();
+        if (poolRegrown) {
+            this._growChunkPool();
+        }
+        
+        const { bricks: dirtyBricks, chunks: dirtyChunks, topGridDirty } = this.world.getDirtyBricksAndClear();
+        
+        // New colors may have added materials
+        if (this.world.materialsDirty) {
+            this._uploadMaterialTable();
+            this.resetAccumulation();
+        }
+        
+        if (dirtyBricks.length === 0 && dirtyChunks.length === 0 && !topGridDirty) return 0;
+        this.resetAccumulation();
+        
+        // Upload top grid if needed (always fast - coarseSize / 8 per axis)
+        if (topGridDirty) {
+            this._uploadTopGrid();
+        }
         
-        // Upload coarse grid if needed (always fast - just indices)
-        if (coarseGridDirty) {
-            gl.bindTexture(gl.TEXTURE_3D, this.coarseGridTexture);
-            const coarseSize = this.world.coarseSize;
-            gl.texSubImage3D(gl.TEXTURE_3D, 0, 0, 0, 0, coarseSize, coarseSize, coarseSize,
-                             gl.RED_INTEGER, gl.UNSIGNED_INT, this.world.coarseGrid);
+        // Upload dirty chunks - 8³ brick indices each
+        if (!poolRegrown && dirtyChunks.length > 0) {
+            gl.bindTexture(gl.TEXTURE_3D, this.chunkPoolTexture);
+            for (const chunkIndex of dirtyChunks) {
+                const chunk = this.world.chunks.get(chunkIndex);
+                if (!chunk) continue;
+                
+                const pos = this.world.getChunkPoolPos(chunkIndex);
+                gl.texSubImage3D(
+                    gl.TEXTURE_3D, 0,
+                    pos.x * CHUNK_SIZE, pos.y * CHUNK_SIZE, pos.z * CHUNK_SIZE,
+                    CHUNK_SIZE, CHUNK_SIZE, CHUNK_SIZE,
+                    gl.RED_INTEGER, gl.UNSIGNED_INT,
+                    chunk
+                );
+            }
         }
         
-        // Upload only dirty bricks - each is just 8³×4 = 2KB!
+        // Upload only dirty bricks - each is just 8³×4 = 2KB (512 bytes with 8-bit IDs)!
         if (dirtyBricks.length > 0) {
             gl.bindTexture(gl.TEXTURE_3D, this.brickAtlasTexture);
             const brickSize = this.world.brickSize;
+            const { format, type } = this._getAtlasFormat();
+            const capacity = this.world.getAtlasCapacity();
             
             for (const brickIndex of dirtyBricks) {
                 const brickData = this.world.bricks.get(brickIndex);
-                if (!brickData) continue;
+                if (!brickData || brickIndex > capacity) continue;
                 
                 const pos = this.world.getBrickAtlasPos(brickIndex);
                 const atlasX = pos.x * brickSize;
@@ -1036,7 +4422,7 @@ class VoxelEngine {
                     gl.TEXTURE_3D, 0,
                     atlasX, atlasY, atlasZ,
                     brickSize, brickSize, brickSize,
-                    gl.RGBA, gl.UNSIGNED_BYTE,
+                    format, type,
                     brickData
                 );
             }
@@ -1046,14 +4432,332 @@ class VoxelEngine {
         return dirtyBricks.length;
     }
     
+    // The CPU renderer reads the world directly, so an upload only clears the
+    // dirty tracking. Returns the bricks that changed.
+    _syncCpuWorld() {
+        const { bricks } = this.world.getDirtyBricksAndClear();
+        this.world.materialsDirty = false;
+        this.world.countVoxels();
+        return bricks.length;
+    }
+    
+    // Slide a streaming world's window with the camera, generate up to
+    // maxLoads entering chunks and upload the changes. Returns bricks uploaded.
+    updateStreaming(maxLoads = Infinity) {
+        if (!this.world || !this.world.streaming) return 0;
+        this.world.updateStreaming(this.camera.position, maxLoads);
+        return this.uploadDirtyBricks();
+    }
+    
     resize(width, height) {
         this.canvas.width = width;
         this.canvas.height = height;
-        this.gl.viewport(0, 0, width, height);
+        if (this.gl) this.gl.viewport(0, 0, width, height);
+    }
+    
+    // ========================================================================
+    // Sky
+    // ========================================================================
+    
+    // The frame's sun (or, at night, moon) light and sky and fog colors. With a
+    // timeOfDay they come from the atmosphere model, whose shader state is
+    // `sky`; without one, from the settings, and `sky` is null (gradient sky).
+    // Settings are never written, so clearing timeOfDay restores the user's.
+    _skyLighting() {
+        const settings = this.settings;
+        if (settings.timeOfDay === null || settings.timeOfDay === undefined) {
+            const { lightDirection, lightColor, skyColorTop, skyColorBottom, fogColor } = settings;
+            return {
+                sky: null,
+                lightDirection,
+                lightColor,
+                skyColorTop,
+                skyColorBottom,
+                fogColor: fogColor || skyColorTop.map((c, i) => (c + skyColorBottom[i]) / 2)
+            };
+        }
+        
+        const sun = sunDirectionAt(mod(settings.timeOfDay, 24));
+        const coefficients = preethamSky(sun, settings.turbidity);
+        const sunColor = sunColorAt(sun);
+        
+        // Sunlight fades out at sunset as moonlight fades in
+        let lightDirection, lightColor;
+        if (sun[1] >= 0) {
+            lightDirection = sun;
+            lightColor = sunColor.map(c => c * smoothstep(0, 0.1, sun[1]));
+        } else {
+            lightDirection = sun.map(c => -c);
+            lightColor = MOONLIGHT_COLOR.map(c => c * smoothstep(0, 0.1, -sun[1]));
+        }
+        
+        // Zenith on top, the horizon averaged around the compass below
+        const sky = dir => atmosphereSkyColor(dir, sun, coefficients);
+        const horizon = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]].map(sky);
+        const skyColorBottom = [0, 1, 2].map(i => horizon.reduce((sum, c) => sum + c[i], 0) / horizon.length);
+        
+        return {
+            sky: { sun, sunColor, coefficients },
+            lightDirection,
+            lightColor,
+            skyColorTop: sky([0, 1, 0]),
+            skyColorBottom,
+            fogColor: skyColorBottom
+        };
+    }
+    
+    // ========================================================================
+    // Lights
+    // ========================================================================
+    
+    // Add a point, spot or directional light (see DEFAULT_LIGHT for options).
+    // Returns its handle: light.update({...}) changes it, light.remove() removes it.
+    addLight(options = {}) {
+        const light = new Light(this, this.nextLightId++, options);
+        this.lights.set(light.id, light);
+        return light;
+    }
+    
+    // Remove a light by handle or id
+    removeLight(light) {
+        const id = typeof light === 'number' ? light : light.id;
+        if (this.lights.delete(id)) {
+            this.lightsDirty = true;
+        }
+    }
+    
+    getLights() {
+        return [...this.lights.values()];
+    }
+    
+    // Create, move or remove the camera-attached lantern per the lantern settings
+    _updateLantern() {
+        const settings = this.settings;
+        if (!settings.lanternEnabled) {
+            if (this.lantern) {
+                this.lantern.remove();
+                this.lantern = null;
+            }
+            return;
+        }
+        
+        const key = `${this.camera.getStateKey()}|${settings.lanternIntensity},${settings.lanternRange},${settings.lanternConeAngle}`;
+        if (this.lantern && key === this.lanternKey) return;
+        this.lanternKey = key;
+        
+        const options = {
+            type: 'spot',
+            position: this.camera.position,
+            direction: this.camera.getDirection(),
+            color: [1.0, 0.85, 0.6],
+            intensity: settings.lanternIntensity,
+            range: settings.lanternRange,
+            innerAngle: settings.lanternConeAngle,
+            outerAngle: settings.lanternConeAngle * 1.4
+        };
+        
+        if (this.lantern) {
+            this.lantern.update(options);
+        } else {
+            this.lantern = this.addLight(options);
+        }
+    }
+    
+    // Upload the light records and rebuild the per-chunk light lists when lights
+    // changed or the world window moved. Each window chunk lists the point and
+    // spot lights whose range reaches it; directional lights come first in the
+    // data and apply everywhere.
+    _uploadLights() {
+        const gl = this.gl;
+        this._updateLantern();
+        
+        const T = this.world.topSize;
+        const origin = this.world.windowOrigin;
+        const gridKey = `${origin.join()}|${T}`;
+        if (!this.lightsDirty && gridKey === this.lightGridKey) return;
+        
+        const lights = [...this.lights.values()];
+        const directional = lights.filter(light => light.type === 'directional');
+        const ordered = directional.concat(lights.filter(light => light.type !== 'directional'));
+        this.directionalLightCount = directional.length;
+        
+        // Light records
+        const dataHeight = Math.max(1, Math.ceil(ordered.length * LIGHT_TEXELS / LIGHT_DATA_WIDTH));
+        const data = new Float32Array(LIGHT_DATA_WIDTH * dataHeight * 4);
+        ordered.forEach((light, i) => {
+            const o = i * LIGHT_TEXELS * 4;
+            const direction = this._normalize(light.direction);
+            data.set(light.position, o);
+            data[o + 3] = LIGHT_TYPES[light.type];
+            data.set(direction, o + 4);
+            data[o + 7] = light.range;
+            data.set(light.color.map(c => c * light.intensity), o + 8);
+            data[o + 11] = light.castShadows ? 1 : 0;
+            data[o + 12] = Math.cos(light.innerAngle);
+            data[o + 13] = Math.cos(light.outerAngle);
+        });
+        
+        // Per-chunk lists: count the lights reaching each chunk, then fill
+        const chunkVoxels = this.world.chunkVoxels;
+        const cellRanges = ordered.map(light => {
+            if (light.type === 'directional') return null;
+            const min = [], max = [];
+            for (let a = 0; a < 3; a++) {
+                min[a] = Math.max(0, Math.floor((light.position[a] - light.range) / chunkVoxels) - origin[a]);
+                max[a] = Math.min(T - 1, Math.floor((light.position[a] + light.range) / chunkVoxels) - origin[a]);
+                if (min[a] > max[a]) return null;
+            }
+            return { min, max };
+        });
+        const forEachCell = (range, callback) => {
+            for (let z = range.min[2]; z <= range.max[2]; z++) {
+                for (let y = range.min[1]; y <= range.max[1]; y++) {
+                    for (let x = range.min[0]; x <= range.max[0]; x++) {
+                        callback(x + T * (y + T * z));
+                    }
+                }
+            }
+        };
+        
+        const grid = new Uint32Array(T * T * T * 2);  // (offset, count) per chunk
+        cellRanges.forEach(range => range && forEachCell(range, cell => grid[cell * 2 + 1]++));
+        let total = 0;
+        for (let cell = 0; cell < T * T * T; cell++) {
+            grid[cell * 2] = total;
+            total += grid[cell * 2 + 1];
+            grid[cell * 2 + 1] = 0;
+        }
+        const indexHeight = Math.max(1, Math.ceil(total / LIGHT_INDEX_WIDTH));
+        const indices = new Uint32Array(LIGHT_INDEX_WIDTH * indexHeight);
+        cellRanges.forEach((range, light) => range && forEachCell(range, cell => {
+            indices[grid[cell * 2] + grid[cell * 2 + 1]++] = light;
+        }));
+        
+        // Upload (unit 6 so the world textures stay bound)
+        gl.activeTexture(gl.TEXTURE6);
+        gl.deleteTexture(this.lightDataTexture);
+        gl.deleteTexture(this.lightGridTexture);
+        gl.deleteTexture(this.lightIndexTexture);
+        
+        const createTexture = (target) => {
+            const texture = gl.createTexture();
+            gl.bindTexture(target, texture);
+            gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            return texture;
+        };
+        this.lightDataTexture = createTexture(gl.TEXTURE_2D);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, LIGHT_DATA_WIDTH, dataHeight, 0, gl.RGBA, gl.FLOAT, data);
+        this.lightGridTexture = createTexture(gl.TEXTURE_3D);
+        gl.texImage3D(gl.TEXTURE_3D, 0, gl.RG32UI, T, T, T, 0, gl.RG_INTEGER, gl.UNSIGNED_INT, grid);
+        this.lightIndexTexture = createTexture(gl.TEXTURE_2D);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32UI, LIGHT_INDEX_WIDTH, indexHeight, 0, gl.RED_INTEGER, gl.UNSIGNED_INT, indices);
+        
+        this.lightsDirty = false;
+        this.lightGridKey = gridKey;
+        this.resetAccumulation();
+    }
+    
+    // ========================================================================
+    // Path Tracing Accumulation
+    // ========================================================================
+    
+    // Path tracing needs float render targets (EXT_color_buffer_float)
+    supportsPathTracing() {
+        return this.floatRenderTargets;
+    }
+    
+    // Samples averaged into the current path-traced image
+    getSampleCount() {
+        return this.settings.pathTracing && this.floatRenderTargets ? this.sampleCount : 0;
+    }
+    
+    // Restart accumulation; called when the world changes
+    resetAccumulation() {
+        this.sampleCount = 0;
+    }
+    
+    // Fit the accumulation targets to the drawn area and restart accumulation
+    // when the view, settings or resolution changed since the last frame
+    _updateAccumulation(width, height) {
+        const gl = this.gl;
+        
+        if (!this.accumulation || this.accumulation.width !== width || this.accumulation.height !== height) {
+            if (this.accumulation) {
+                this.accumulation.textures.forEach(texture => gl.deleteTexture(texture));
+                this.accumulation.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+            }
+            
+            // Unit 5 so the atlas and material table bindings stay intact
+            gl.activeTexture(gl.TEXTURE5);
+            const textures = [];
+            const framebuffers = [];
+            for (let i = 0; i < 2; i++) {
+                const texture = gl.createTexture();
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA32F, width, height);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+                
+                const framebuffer = gl.createFramebuffer();
+                gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+                
+                textures.push(texture);
+                framebuffers.push(framebuffer);
+            }
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            
+            this.accumulation = { width, height, textures, framebuffers, read: 0 };
+            this.sampleCount = 0;
+        }
+        
+        // The build highlight isn't path traced, so moving it keeps the samples
+        const settingsKey = JSON.stringify(this.settings, (key, value) => key === 'highlightVoxel' ? undefined : value);
+        const key = `${this.camera.getStateKey()}|${settingsKey}`;
+        if (key !== this.accumulationKey) {
+            this.accumulationKey = key;
+            this.sampleCount = 0;
+        }
+    }
+    
+    // Add one path-traced sample (until maxSamples, or without limit for an
+    // offscreen still) and show the average
+    _renderPathTraced() {
+        const gl = this.gl;
+        const target = this.renderTarget;
+        this._updateAccumulation(target ? target.tileWidth : this.canvas.width, target ? target.tileHeight : this.canvas.height);
+        const accumulation = this.accumulation;
+        
+        if (target || this.sampleCount < this.settings.maxSamples) {
+            this.profiler.begin('primary');
+            gl.bindFramebuffer(gl.FRAMEBUFFER, accumulation.framebuffers[1 - accumulation.read]);
+            gl.activeTexture(gl.TEXTURE5);
+            gl.bindTexture(gl.TEXTURE_2D, accumulation.textures[accumulation.read]);
+            gl.uniform1i(this.locations.u_frameIndex, this.sampleCount);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+            this.profiler.end('primary');
+            
+            accumulation.read = 1 - accumulation.read;
+            this.sampleCount++;
+        }
+        
+        this.profiler.begin('post');
+        gl.useProgram(this.displayProgram);
+        gl.activeTexture(gl.TEXTURE5);
+        gl.bindTexture(gl.TEXTURE_2D, accumulation.textures[accumulation.read]);
+        gl.uniform1i(this.locations.u_image, 5);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        this.profiler.end('post');
     }
     
     render() {
         if (!this.world) return;
+        if (!this.gl) {
+            this._renderCpu();
+            return;
+        }
         
         const gl = this.gl;
         const camera = this.camera;
@@ -1063,18 +4767,36 @@ class VoxelEngine {
         
         // Bind textures
         gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_3D, this.coarseGridTexture);
-        gl.uniform1i(this.locations.u_coarseGrid, 0);
+        gl.bindTexture(gl.TEXTURE_3D, this.topGridTexture);
+        gl.uniform1i(this.locations.u_topGrid, 0);
         
+        gl.activeTexture(gl.TEXTURE4);
+        gl.bindTexture(gl.TEXTURE_3D, this.chunkPoolTexture);
+        gl.uniform1i(this.locations.u_chunkPool, 4);
+        
+        // The atlas binds to the sampler matching its storage; the other gets a placeholder
+        const materialStorage = this.world.channels === 1;
         gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_3D, this.brickAtlasTexture);
+        gl.bindTexture(gl.TEXTURE_3D, materialStorage ? this.placeholderTextures.rgba : this.brickAtlasTexture);
         gl.uniform1i(this.locations.u_brickAtlas, 1);
         
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_3D, materialStorage ? this.brickAtlasTexture : this.placeholderTextures.material);
+        gl.uniform1i(this.locations.u_materialAtlas, 2);
+        
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_2D, this.materialTableTexture);
+        gl.uniform1i(this.locations.u_materialTable, 3);
+        gl.uniform1i(this.locations.u_storageMode, materialStorage ? 1 : 0);
+        
         // Brick map parameters
         const cs = this.world.coarseSize;
         gl.uniform3f(this.locations.u_coarseGridSize, cs, cs, cs);
-        const as = this.world.atlasSize;
-        gl.uniform3f(this.locations.u_atlasSize, as, as, as);
+        const ts = this.world.topSize;
+        gl.uniform3f(this.locations.u_topGridSize, ts, ts, ts);
+        gl.uniform3fv(this.locations.u_chunkPoolSize, this.world.chunkPoolDims);
+        gl.uniform3iv(this.locations.u_windowOrigin, this.world.windowOrigin);
+        gl.uniform3fv(this.locations.u_atlasSize, this.world.atlasDims);
         gl.uniform1i(this.locations.u_brickSize, this.world.brickSize);
         
         // Camera uniforms
@@ -1084,56 +4806,204 @@ class VoxelEngine {
         gl.uniform3fv(this.locations.u_cameraRight, camera.getRight());
         gl.uniform1f(this.locations.u_fov, camera.fov);
         
-        // Resolution
-        gl.uniform2f(this.locations.u_resolution, this.canvas.width, this.canvas.height);
+        // Resolution, and where an offscreen tile sits in its image
+        const target = this.renderTarget;
+        gl.uniform2f(this.locations.u_resolution, target ? target.width : this.canvas.width, target ? target.height : this.canvas.height);
+        gl.uniform2f(this.locations.u_tileOffset, target ? target.x : 0, target ? target.y : 0);
         
         // Settings
         gl.uniform1i(this.locations.u_maxSteps, this.settings.maxSteps);
         gl.uniform1i(this.locations.u_showNormals, this.settings.showNormals ? 1 : 0);
         gl.uniform1i(this.locations.u_enableShadows, this.settings.enableShadows ? 1 : 0);
-        gl.uniform3fv(this.locations.u_lightDir, this.settings.lightDirection);
-        gl.uniform3fv(this.locations.u_skyColorTop, this.settings.skyColorTop);
-        gl.uniform3fv(this.locations.u_skyColorBottom, this.settings.skyColorBottom);
+        gl.uniform1i(this.locations.u_shadowSteps, this.settings.shadowSteps);
+        gl.uniform1f(this.locations.u_shadowDarkness, this.settings.shadowDarkness);
+        gl.uniform1i(this.locations.u_shadowSamples, this.settings.softShadows ?
+            Math.max(1, Math.min(16, this.settings.shadowSamples)) : 1);
+        gl.uniform1f(this.locations.u_sunAngularRadius, this.settings.sunAngularRadius);
+        gl.uniform1f(this.locations.u_lightRadius, this.settings.lightRadius);
+        gl.uniform1i(this.locations.u_aoEnabled, this.settings.ambientOcclusion ? 1 : 0);
+        gl.uniform1f(this.locations.u_aoStrength, this.settings.aoStrength);
+        
+        // Sky and sun/moon light
+        const lighting = this._skyLighting();
+        const sky = lighting.sky;
+        gl.uniform1i(this.locations.u_skyModel, sky ? 1 : 0);
+        if (sky) {
+            const { A, B, C, D, E, zenith } = sky.coefficients;
+            gl.uniform3fv(this.locations.u_sunDir, sky.sun);
+            gl.uniform3fv(this.locations.u_sunColor, sky.sunColor);
+            gl.uniform3fv(this.locations.u_perezA, A);
+            gl.uniform3fv(this.locations.u_perezB, B);
+            gl.uniform3fv(this.locations.u_perezC, C);
+            gl.uniform3fv(this.locations.u_perezD, D);
+            gl.uniform3fv(this.locations.u_perezE, E);
+            gl.uniform3fv(this.locations.u_skyZenith, zenith);
+        }
+        gl.uniform3fv(this.locations.u_lightDir, lighting.lightDirection);
+        gl.uniform3fv(this.locations.u_lightColor, lighting.lightColor);
+        gl.uniform3fv(this.locations.u_skyColorTop, lighting.skyColorTop);
+        gl.uniform3fv(this.locations.u_skyColorBottom, lighting.skyColorBottom);
+        gl.uniform3fv(this.locations.u_fogColor, lighting.fogColor);
         gl.uniform1f(this.locations.u_fogDensity, this.settings.fogDensity);
 
-        // Lantern uniforms
-        gl.uniform1i(this.locations.u_lanternEnabled, this.settings.lanternEnabled ? 1 : 0);
-        gl.uniform3fv(this.locations.u_lanternPos, camera.position);
-        gl.uniform3fv(this.locations.u_lanternDir, camera.getDirection());
-        gl.uniform1f(this.locations.u_lanternIntensity, this.settings.lanternIntensity);
-        gl.uniform1f(this.locations.u_lanternConeAngle, this.settings.lanternConeAngle);
-
-        // Orb light uniforms
-        const orbLights = this.settings.orbLights;
-        const numOrbs = Math.min(orbLights.length, 16);
-        gl.uniform1i(this.locations.u_numOrbLights, numOrbs);
-        gl.uniform1f(this.locations.u_orbIntensity, this.settings.orbIntensity);
-
-        if (numOrbs > 0) {
-            const positions = new Float32Array(16 * 3);
-            const directions = new Float32Array(16 * 3);
-            const colors = new Float32Array(16 * 3);
-
-            for (let i = 0; i < numOrbs; i++) {
-                const orb = orbLights[i];
-                positions[i * 3] = orb.pos[0];
-                positions[i * 3 + 1] = orb.pos[1];
-                positions[i * 3 + 2] = orb.pos[2];
-                directions[i * 3] = orb.dir[0];
-                directions[i * 3 + 1] = orb.dir[1];
-                directions[i * 3 + 2] = orb.dir[2];
-                colors[i * 3] = orb.color[0];
-                colors[i * 3 + 1] = orb.color[1];
-                colors[i * 3 + 2] = orb.color[2];
-            }
+        // Lights
+        this.profiler.measure('upload', () => this._uploadLights());
+        gl.activeTexture(gl.TEXTURE6);
+        gl.bindTexture(gl.TEXTURE_2D, this.lightDataTexture);
+        gl.uniform1i(this.locations.u_lightData, 6);
+        gl.activeTexture(gl.TEXTURE7);
+        gl.bindTexture(gl.TEXTURE_3D, this.lightGridTexture);
+        gl.uniform1i(this.locations.u_lightGrid, 7);
+        gl.activeTexture(gl.TEXTURE8);
+        gl.bindTexture(gl.TEXTURE_2D, this.lightIndexTexture);
+        gl.uniform1i(this.locations.u_lightIndices, 8);
+        gl.uniform1i(this.locations.u_directionalLightCount, this.directionalLightCount);
 
-            gl.uniform3fv(this.locations.u_orbPositions, positions);
-            gl.uniform3fv(this.locations.u_orbDirections, directions);
-            gl.uniform3fv(this.locations.u_orbColors, colors);
+        // Build mode highlight
+        const highlight = this.settings.highlightVoxel;
+        gl.uniform1i(this.locations.u_highlightEnabled, highlight ? 1 : 0);
+        if (highlight) {
+            gl.uniform3fv(this.locations.u_highlightVoxel, highlight);
         }
 
-        // Draw
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        // Path tracing
+        const pathTracing = this.settings.pathTracing && this.floatRenderTargets;
+        gl.uniform1i(this.locations.u_pathTrace, pathTracing ? 1 : 0);
+        gl.uniform1i(this.locations.u_maxBounces, Math.max(0, Math.min(8, this.settings.maxBounces)));
+        gl.uniform1i(this.locations.u_accumulation, 5);
+        
+        if (target) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+            gl.viewport(0, 0, target.tileWidth, target.tileHeight);
+        }
+        
+        if (pathTracing) {
+            this._renderPathTraced();
+        } else {
+            // Draw
+            this.profiler.begin('primary');
+            gl.uniform1i(this.locations.u_frameIndex, 0);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            this.profiler.end('primary');
+        }
+        this.profiler.endFrame();
+    }
+    
+    // Trace the frame on the CPU and draw it to the canvas
+    _renderCpu() {
+        this.profiler.begin('primary');
+        const image = this.cpuRenderer.render(this.canvas.width, this.canvas.height);
+        this.profiler.end('primary');
+        
+        if (this.context2d) {
+            this.profiler.measure('post', () => this.context2d.putImageData(image, 0, 0));
+        }
+        this.profiler.endFrame();
+    }
+    
+    // ========================================================================
+    // Offscreen Rendering
+    // ========================================================================
+    
+    // Render a still at any size into an offscreen framebuffer, in tiles when
+    // it exceeds OFFSCREEN_TILE_SIZE or the renderbuffer/viewport limits.
+    // Options:
+    //   width, height  image size (default the canvas size)
+    //   type           'rgba' for { width, height, data } with top-down RGBA
+    //                  rows, or 'png' for a PNG Blob (default 'rgba')
+    //   samples        path-traced samples per pixel when pathTracing is on
+    //                  (default OFFSCREEN_DEFAULT_SAMPLES)
+    // The image is drawn synchronously; PNG encoding resolves later.
+    async renderToImage(options = {}) {
+        if (!this.world) throw new Error('No world to render');
+        
+        const gl = this.gl;
+        const width = options.width !== undefined ? options.width : this.canvas.width;
+        const height = options.height !== undefined ? options.height : this.canvas.height;
+        const type = options.type || 'rgba';
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            throw new Error(`Invalid image size: ${width}x${height}`);
+        }
+        if (type !== 'rgba' && type !== 'png') {
+            throw new Error(`Unknown image type: ${type}`);
+        }
+        
+        // The CPU renderer draws the whole image in one pass
+        if (!this.gl) {
+            const pixels = this.cpuRenderer.render(width, height);
+            const image = { width, height, data: new Uint8Array(pixels.data.buffer) };
+            return type === 'png' ? this._encodePNG(image) : image;
+        }
+        
+        const viewportLimit = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const tileLimit = Math.min(OFFSCREEN_TILE_SIZE, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), viewportLimit[0], viewportLimit[1]);
+        const tileWidth = Math.min(width, tileLimit);
+        const tileHeight = Math.min(height, tileLimit);
+        const pathTracing = this.settings.pathTracing && this.floatRenderTargets;
+        const samples = pathTracing ? Math.max(1, options.samples || OFFSCREEN_DEFAULT_SAMPLES) : 1;
+        
+        const renderbuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, tileWidth, tileHeight);
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer);
+        
+        // Stills stay out of the frame statistics
+        const profiling = this.profiler.enabled;
+        this.profiler.enabled = false;
+        
+        const data = new Uint8Array(width * height * 4);
+        const tile = new Uint8Array(tileWidth * tileHeight * 4);
+        try {
+            for (let y = 0; y < height; y += tileHeight) {
+                for (let x = 0; x < width; x += tileWidth) {
+                    const w = Math.min(tileWidth, width - x);
+                    const h = Math.min(tileHeight, height - y);
+                    this.renderTarget = { framebuffer, width, height, x, y, tileWidth: w, tileHeight: h };
+                    
+                    this.resetAccumulation();
+                    for (let i = 0; i < samples; i++) this.render();
+                    
+                    // GL rows run bottom-up; the image's run top-down
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+                    gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, tile);
+                    for (let row = 0; row < h; row++) {
+                        const dst = ((height - 1 - (y + row)) * width + x) * 4;
+                        data.set(tile.subarray(row * w * 4, (row + 1) * w * 4), dst);
+                    }
+                }
+            }
+        } finally {
+            this.renderTarget = null;
+            this.profiler.enabled = profiling;
+            this.resetAccumulation();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteRenderbuffer(renderbuffer);
+        }
+        
+        const image = { width, height, data };
+        return type === 'png' ? this._encodePNG(image) : image;
+    }
+    
+    // PNG Blob of top-down RGBA pixels (limited by the browser's 2D canvas size)
+    _encodePNG(image) {
+        const pixels = new ImageData(new Uint8ClampedArray(image.data.buffer), image.width, image.height);
+        if (typeof OffscreenCanvas !== 'undefined') {
+            const canvas = new OffscreenCanvas(image.width, image.height);
+            canvas.getContext('2d').putImageData(pixels, 0, 0);
+            return canvas.convertToBlob({ type: 'image/png' });
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(pixels, 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
     }
     
     // Utility methods
@@ -1167,5 +5037,5 @@ class VoxelEngine {
 // ============================================================================
 
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { VoxelEngine, BrickMapWorld, Camera };
+    module.exports = { VoxelEngine, CpuRenderer, FrameProfiler, BrickMapWorld, Camera, CameraPath, Light, BoxShape, SphereShape, CylinderShape };
 }
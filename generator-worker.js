@@ -0,0 +1,48 @@
+/**
+ * Voxel Ray Traversal Engine v2.1
+ * Generator Worker
+ *
+ * Runs one slab of a scene generator per 'generate' message from
+ * GeneratorPool and posts the slab's bricks back as transferables.
+ */
+
+importScripts('engine.js', 'noise.js', 'generators.js');
+
+// Minimum time between progress messages (ms)
+const PROGRESS_INTERVAL = 50;
+
+self.onmessage = (e) => {
+    const job = e.data;
+    if (job.type !== 'generate') return;
+
+    try {
+        const generator = SceneGenerators[job.scene];
+        if (!generator) {
+            throw new Error(`Unknown scene: ${job.scene}`);
+        }
+
+        // A full-size world, of which only the slab's bricks are kept
+        const world = new BrickMapWorld(job.coarseSize, job.brickSize, { storage: job.storage });
+        const bs = job.brickSize;
+        let lastProgress = 0;
+
+        generator(world, {
+            region: { min: job.min.map(c => c * bs), max: job.max.map(c => c * bs) },
+            seed: job.seed,
+            onProgress: (fraction) => {
+                const now = Date.now();
+                if (now - lastProgress < PROGRESS_INTERVAL) return;
+                lastProgress = now;
+                self.postMessage({ type: 'progress', slab: job.slab, fraction });
+            }
+        });
+
+        const bricks = world.exportBricks(job.min, job.max);
+        self.postMessage(
+            { type: 'bricks', slab: job.slab, ...bricks },
+            [bricks.coords.buffer, bricks.voxels.buffer]
+        );
+    } catch (error) {
+        self.postMessage({ type: 'error', slab: job.slab, message: error.message });
+    }
+};
@@ -0,0 +1,961 @@
+/**
+ * Voxel Ray Traversal Engine v2.1
+ * Scene Generators
+ *
+ * Shared by the showcase, the benchmark and generator-worker.js; the
+ * landscape scene needs noise.js.
+ * Generators take (world, options):
+ *   region      { min, max } voxel box to fill (max exclusive, default whole world)
+ *   seed        32-bit layout seed (default random)
+ *   random      PRNG for layout decisions, overriding `seed`
+ *   onProgress  (fraction, text) while filling the region
+ * Structures are placed with `random` even when they miss the region, so
+ * workers filling different regions from one seed build the same scene, and
+ * the same seed and world size always build the same world.
+ */
+
+// ============================================================================
+// Generator Helpers
+// ============================================================================
+
+// Seeded PRNG (mulberry32) returning floats in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Stateless hash of a seed and a voxel position to a float in [0, 1), for
+// per-voxel variation that doesn't depend on the order voxels are visited
+function hashRandom(seed, x, y, z) {
+    let h = (seed ^ Math.imul(x, 0x27D4EB2D) ^ Math.imul(y, 0x165667B1) ^ Math.imul(z, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// Fresh 32-bit seed, for generation without one
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+function generatorOptions(world, options = {}) {
+    const size = world.worldSize;
+    const seed = options.seed !== undefined ? options.seed >>> 0 : randomSeed();
+    return {
+        region: options.region || { min: [0, 0, 0], max: [size, size, size] },
+        random: options.random || createRandom(seed),
+        onProgress: options.onProgress || (() => {})
+    };
+}
+
+// Whether the voxel box [min, max) touches a region
+function regionOverlaps(region, min, max) {
+    for (let a = 0; a < 3; a++) {
+        if (min[a] >= region.max[a] || max[a] <= region.min[a]) return false;
+    }
+    return true;
+}
+
+// Whether the voxel (x, y, z) lies in a region
+function regionContains(region, x, y, z) {
+    return x >= region.min[0] && x < region.max[0] &&
+        y >= region.min[1] && y < region.max[1] &&
+        z >= region.min[2] && z < region.max[2];
+}
+
+// Region's X range clamped to the world, for column loops
+function regionColumns(region, size) {
+    return [Math.max(0, region.min[0]), Math.min(size, region.max[0])];
+}
+
+// ============================================================================
+// Scene Generators (Updated for larger worlds)
+// ============================================================================
+
+const SceneGenerators = {
+    demo(world, options) {
+        const { region, random, onProgress } = generatorOptions(world, options);
+        const size = world.worldSize;
+        world.clear();
+
+        // Ground plane with checkerboard pattern
+        const [x0, x1] = regionColumns(region, size);
+        for (let x = x0; x < x1; x++) {
+            for (let z = 0; z < size; z++) {
+                const color = ((x + z) % 2 === 0) ? [58, 90, 64] : [88, 129, 87];
+                world.setVoxel(x, 0, z, ...color);
+            }
+        }
+        onProgress(0.5, 'Structures...');
+
+        // Colored structures/columns
+        const structures = [
+            { x: size * 0.3, z: size * 0.3, h: size * 0.4, color: [233, 57, 70] },
+            { x: size * 0.6, z: size * 0.45, h: size * 0.55, color: [69, 123, 157] },
+            { x: size * 0.45, z: size * 0.75, h: size * 0.35, color: [244, 162, 97] },
+            { x: size * 0.75, z: size * 0.25, h: size * 0.5, color: [42, 157, 143] },
+            { x: size * 0.25, z: size * 0.7, h: size * 0.3, color: [233, 196, 106] },
+        ];
+
+        for (const s of structures) {
+            const w = Math.max(2, Math.floor(size * 0.04));
+            const sx = Math.floor(s.x), sz = Math.floor(s.z);
+            const min = [sx - w, 1, sz - w], max = [sx + w + 1, Math.floor(s.h) + 1, sz + w + 1];
+            if (regionOverlaps(region, min, max)) world.fillBox(min, max, s.color);
+        }
+
+        // Glowing lamps on top of each structure
+        const lamp = world.addMaterial({ color: [255, 214, 140], emissive: 2 });
+        for (const s of structures) {
+            const x = Math.floor(s.x), y = Math.floor(s.h) + 1, z = Math.floor(s.z);
+            if (regionContains(region, x, y, z)) world.setMaterial(x, y, z, lamp);
+        }
+
+        // Tinted glass wall
+        const glass = world.addMaterial({ color: [170, 220, 255], transparency: 0.8, roughness: 0.05 });
+        const wallZ = Math.floor(size * 0.55);
+        for (let x = Math.floor(size * 0.35); x < size * 0.55; x++) {
+            for (let y = 1; y <= size * 0.15; y++) {
+                if (regionContains(region, x, y, wallZ)) world.setMaterial(x, y, wallZ, glass);
+            }
+        }
+
+        // Lava pool sunk into the ground
+        const lava = world.addMaterial({ color: [255, 90, 20], emissive: 3, roughness: 0.6 });
+        for (let x = Math.floor(size * 0.6); x < size * 0.7; x++) {
+            for (let z = Math.floor(size * 0.62); z < size * 0.72; z++) {
+                if (regionContains(region, x, 0, z)) world.setMaterial(x, 0, z, lava);
+            }
+        }
+
+        // Scattered random voxels
+        const colors = [
+            [155, 34, 38], [174, 32, 18], [187, 62, 3],
+            [202, 103, 2], [238, 155, 0]
+        ];
+        const scatterCount = Math.floor(size * size * 0.01);
+        for (let i = 0; i < scatterCount; i++) {
+            const x = Math.floor(random() * size);
+            const y = Math.floor(random() * size * 0.1) + 1;
+            const z = Math.floor(random() * size);
+            const color = colors[Math.floor(random() * colors.length)];
+            if (regionContains(region, x, y, z)) world.setVoxel(x, y, z, ...color);
+        }
+        onProgress(1, 'Done!');
+    },
+
+    sphere(world, options) {
+        const { region, onProgress } = generatorOptions(world, options);
+        const size = world.worldSize;
+        world.clear();
+
+        const cx = size / 2, cy = size / 2, cz = size / 2;
+        const radius = size / 2 - 2;
+        const thickness = Math.max(2, size * 0.04);
+
+        const [x0, x1] = regionColumns(region, size);
+        for (let x = x0; x < x1; x++) {
+            for (let y = 0; y < size; y++) {
+                for (let z = 0; z < size; z++) {
+                    const dx = x - cx, dy = y - cy, dz = z - cz;
+                    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+                    if (dist <= radius && dist >= radius - thickness) {
+                        const r = Math.floor((x / size) * 127 + 128);
+                        const g = Math.floor((y / size) * 127 + 128);
+                        const b = Math.floor((z / size) * 127 + 128);
+                        world.setVoxel(x, y, z, r, g, b);
+                    }
+                }
+            }
+            onProgress((x + 1 - x0) / (x1 - x0), 'Sphere...');
+        }
+    },
+
+    terrain(world, options) {
+        const { region, random, onProgress } = generatorOptions(world, options);
+        const size = world.worldSize;
+        world.clear();
+
+        const scale = 8 / size;  // Adjust scale based on world size
+
+        // Multi-octave noise heightmap
+        const heightAt = (x, z) => {
+            const noise1 = Math.sin(x * scale * 2) * Math.cos(z * scale * 2);
+            const noise2 = Math.sin(x * scale * 4 + 1) * Math.cos(z * scale * 4 + 1) * 0.5;
+            const noise3 = Math.sin(x * scale * 8 + 2) * Math.cos(z * scale * 8 + 2) * 0.25;
+            return Math.floor(((noise1 + noise2 + noise3) / 1.75 * 0.5 + 0.5) * size * 0.35) + 1;
+        };
+
+        const [x0, x1] = regionColumns(region, size);
+        for (let x = x0; x < x1; x++) {
+            for (let z = 0; z < size; z++) {
+                const height = heightAt(x, z);
+
+                for (let y = 0; y < height; y++) {
+                    let color;
+                    if (y === height - 1) {
+                        color = [74, 124, 89]; // Grass
+                    } else if (y > height - 4) {
+                        color = [139, 94, 60]; // Dirt
+                    } else {
+                        color = [107, 107, 107]; // Stone
+                    }
+                    world.setVoxel(x, y, z, ...color);
+                }
+            }
+            onProgress((x + 1 - x0) / (x1 - x0) * 0.9, 'Terrain...');
+        }
+
+        // Add trees
+        const numTrees = Math.floor(size * size * 0.0005);
+        for (let i = 0; i < numTrees; i++) {
+            const tx = Math.floor(random() * (size - 6)) + 3;
+            const tz = Math.floor(random() * (size - 6)) + 3;
+            const treeHeight = Math.floor(random() * 5) + 5;
+            const leafRadius = Math.floor(random() * 2) + 2;
+
+            // Ground height from the heightmap (other regions' voxels may not exist)
+            const groundY = heightAt(tx, tz) - 1;
+            if (groundY < 2) continue;
+
+            const leafY = groundY + treeHeight;
+            if (!regionOverlaps(region,
+                [tx - leafRadius, groundY + 1, tz - leafRadius],
+                [tx + leafRadius + 1, leafY + leafRadius + 1, tz + leafRadius + 1])) continue;
+
+            // Trunk
+            for (let y = groundY + 1; y < groundY + treeHeight + 1; y++) {
+                world.setVoxel(tx, y, tz, 93, 64, 55);
+            }
+
+            // Leaves
+            for (let dx = -leafRadius; dx <= leafRadius; dx++) {
+                for (let dy = 0; dy <= leafRadius; dy++) {
+                    for (let dz = -leafRadius; dz <= leafRadius; dz++) {
+                        if (Math.abs(dx) + Math.abs(dz) + dy <= leafRadius + 1) {
+                            world.setVoxel(tx + dx, leafY + dy, tz + dz, 46, 125, 50);
+                        }
+                    }
+                }
+            }
+        }
+        onProgress(1, 'Done!');
+    },
+
+    city(world, options) {
+        const { region, random, onProgress } = generatorOptions(world, options);
+        const size = world.worldSize;
+        world.clear();
+
+        // Ground (asphalt)
+        const [x0, x1] = regionColumns(region, size);
+        for (let x = x0; x < x1; x++) {
+            for (let z = 0; z < size; z++) {
+                world.setVoxel(x, 0, z, 66, 66, 66);
+            }
+        }
+
+        // Lit windows glow at night
+        const windowMaterial = world.addMaterial({ color: [255, 245, 157], emissive: 1.5 });
+
+        // Buildings on grid
+        const gridSize = Math.max(8, Math.floor(size / 16));
+        const buildingColors = [
+            [120, 144, 156], [144, 164, 174], [176, 190, 197],
+            [96, 125, 139], [69, 90, 100]
+        ];
+        const rows = size / gridSize - 1;
+
+        for (let gx = 1; gx < rows; gx++) {
+            for (let gz = 1; gz < rows; gz++) {
+                if (random() > 0.25) {
+                    const bx = gx * gridSize + Math.floor(gridSize * 0.1);
+                    const bz = gz * gridSize + Math.floor(gridSize * 0.1);
+                    const maxHeight = Math.floor(size * 0.6);
+                    const height = Math.floor(random() * maxHeight) + Math.floor(size * 0.05);
+                    const width = Math.floor(random() * 3) + Math.max(3, Math.floor(gridSize * 0.4));
+
+                    const color = buildingColors[Math.floor(random() * buildingColors.length)];
+                    if (!regionOverlaps(region, [bx, 1, bz], [bx + width, height + 1, bz + width])) continue;
+
+                    world.fillBox([bx, 1, bz], [bx + width, height + 1, bz + width], color);
+
+                    // Windows on every 3rd-4th floor
+                    const floorInterval = Math.max(3, Math.floor(size / 64));
+                    for (let y = floorInterval; y <= height; y += floorInterval) {
+                        for (let dx = 0; dx < width; dx++) {
+                            for (let dz = (dx % 2); dz < width; dz += 2) {
+                                world.setMaterial(bx + dx, y, bz + dz, windowMaterial);
+                            }
+                        }
+                    }
+                }
+            }
+            onProgress(gx / rows, 'Buildings...');
+        }
+    },
+
+    // Minecraft-style terrain: gentle hills, blocky trees and flowers.
+    // Per-voxel color jitter hashes the voxel position with a seed drawn from
+    // `random`, so a seeded run gives the same colors however it is sliced.
+    minecraft(world, options) {
+        const { region, random, onProgress } = generatorOptions(world, options);
+        const size = world.worldSize;
+        world.clear();
+
+        const jitterSeed = Math.floor(random() * 4294967296);
+        const jitter = (x, y, z, channel, range) =>
+            Math.floor(hashRandom(jitterSeed + channel, x, y, z) * range);
+
+        // Noise function (simple but effective)
+        function noise2D(x, z, scale, seed) {
+            const nx = x * scale + seed;
+            const nz = z * scale + seed * 1.5;
+            return (Math.sin(nx) * Math.cos(nz) +
+                    Math.sin(nx * 2.1 + 0.5) * Math.cos(nz * 1.9 + 0.3) * 0.5 +
+                    Math.sin(nx * 4.3 + 1.2) * Math.cos(nz * 3.7 + 0.7) * 0.25) / 1.75;
+        }
+
+        // FLATTER terrain parameters
+        const baseHeight = Math.floor(size * 0.08);  // Lower base
+        const hillHeight = Math.floor(size * 0.06); // Much smaller hills
+        const scale = 0.015;  // Gentler slopes
+
+        // Multi-octave noise for gentle terrain
+        const heightAt = (x, z) => {
+            const n1 = noise2D(x, z, scale, 12345);
+            const n2 = noise2D(x, z, scale * 2, 54321) * 0.5;
+            const n3 = noise2D(x, z, scale * 4, 98765) * 0.25;
+
+            const heightNoise = (n1 + n2 + n3) / 1.75;
+            return baseHeight + Math.floor((heightNoise * 0.5 + 0.5) * hillHeight);
+        };
+
+        // Generate terrain
+        onProgress(0, 'Generating terrain...');
+        const [x0, x1] = regionColumns(region, size);
+
+        for (let x = x0; x < x1; x++) {
+            for (let z = 0; z < size; z++) {
+                const height = heightAt(x, z);
+
+                // Generate terrain column
+                for (let y = 0; y < height; y++) {
+                    let color;
+                    if (y === height - 1) {
+                        // Grass top
+                        color = [74 + jitter(x, y, z, 0, 20),
+                                124 + jitter(x, y, z, 1, 20),
+                                69 + jitter(x, y, z, 2, 20)];
+                    } else if (y > height - 4) {
+                        // Dirt layer
+                        color = [139 + jitter(x, y, z, 0, 15),
+                                90 + jitter(x, y, z, 1, 15),
+                                60 + jitter(x, y, z, 2, 10)];
+                    } else if (y > 2) {
+                        // Stone
+                        const shade = jitter(x, y, z, 0, 20);
+                        color = [100 + shade, 100 + shade, 105 + shade];
+                    } else {
+                        // Bedrock
+                        color = [50, 50, 55];
+                    }
+                    world.setVoxel(x, y, z, ...color);
+                }
+            }
+
+            const done = (x + 1 - x0) / (x1 - x0);
+            if ((x - x0) % 32 === 31 || x === x1 - 1) {
+                onProgress(done * 0.7, `Terrain: ${Math.floor(done * 100)}%`);
+            }
+        }
+
+        // Add trees
+        onProgress(0.7, 'Planting trees...');
+        const numTrees = Math.floor(size * size * 0.001);  // Good tree density
+
+        for (let i = 0; i < numTrees; i++) {
+            const tx = Math.floor(random() * (size - 10)) + 5;
+            const tz = Math.floor(random() * (size - 10)) + 5;
+
+            // Ground height from the heightmap (other regions' voxels may not exist)
+            const groundY = heightAt(tx, tz) - 1;
+            if (groundY < 3) continue;
+
+            const treeHeight = Math.floor(random() * 4) + 5;
+
+            // Leaves (minecraft-style blocky)
+            const leafY = groundY + treeHeight - 2;
+            const leafRadius = 2;
+
+            if (!regionOverlaps(region,
+                [tx - leafRadius, groundY + 1, tz - leafRadius],
+                [tx + leafRadius + 1, leafY + 4, tz + leafRadius + 1])) continue;
+
+            // Trunk (oak-colored)
+            for (let y = groundY + 1; y < groundY + treeHeight; y++) {
+                world.setVoxel(tx, y, tz,
+                    93 + jitter(tx, y, tz, 0, 10),
+                    64 + jitter(tx, y, tz, 1, 10),
+                    45 + jitter(tx, y, tz, 2, 10));
+            }
+
+            for (let dy = 0; dy <= 3; dy++) {
+                const r = dy < 2 ? leafRadius : leafRadius - 1;
+                for (let dx = -r; dx <= r; dx++) {
+                    for (let dz = -r; dz <= r; dz++) {
+                        // Skip corners for rounder look
+                        if (Math.abs(dx) === r && Math.abs(dz) === r && dy < 2) continue;
+                        // Don't overwrite trunk
+                        if (dx === 0 && dz === 0 && dy < 2) continue;
+
+                        const lx = tx + dx, ly = leafY + dy, lz = tz + dz;
+                        world.setVoxel(lx, ly, lz,
+                            36 + jitter(lx, ly, lz, 0, 20),
+                            115 + jitter(lx, ly, lz, 1, 30),
+                            40 + jitter(lx, ly, lz, 2, 20));
+                    }
+                }
+            }
+
+            if (i % 100 === 0) {
+                onProgress(0.7 + (i / numTrees) * 0.25, `Trees: ${Math.floor(i / numTrees * 100)}%`);
+            }
+        }
+
+        // Add some flowers/grass decoration
+        onProgress(0.95, 'Adding details...');
+        const decorCount = Math.floor(size * size * 0.002);
+        const flowerColors = [
+            [255, 50, 50],    // Red
+            [255, 255, 50],   // Yellow
+            [255, 150, 200],  // Pink
+            [150, 150, 255],  // Blue
+        ];
+
+        for (let i = 0; i < decorCount; i++) {
+            const dx = Math.floor(random() * size);
+            const dz = Math.floor(random() * size);
+            const flower = flowerColors[Math.floor(random() * flowerColors.length)];
+            world.setVoxel(dx, heightAt(dx, dz), dz, ...flower);
+        }
+
+        onProgress(1.0, 'Done!');
+    },
+
+    // Noise landscape: warped continents, ridged mountains, forest, desert and
+    // snow biomes, 3D-density overhangs and caves, ore veins and water at sea
+    // level. Terrain is a function of position and the seed's noise fields, so
+    // any region (a worker slab, a chunk) fills exactly as the whole world would.
+    landscape(world, options) {
+        const { region, random, onProgress } = generatorOptions(world, options);
+        const size = world.worldSize;
+        world.clear();
+
+        // Independent noise fields, permuted from the layout PRNG
+        const terrainNoise = new SimplexNoise(random);
+        const climateNoise = new SimplexNoise(random);
+        const caveNoise = new SimplexNoise(random);
+
+        const seaLevel = Math.floor(size * 0.12);
+        const relief = size * 0.3;  // Mountain height above the lowlands
+        const continentScale = 2 / size;  // Two or so landmasses across the world
+        const mountainScale = 3 / size;
+        const climateScale = 1.5 / size;
+        const overhangHeight = 14;  // Max overhang reach in voxels, on steep mountains
+
+        // Registered up front so every slab numbers materials alike
+        const M = {
+            bedrock: world.findOrAddMaterial({ color: [50, 50, 55] }),
+            stone: world.findOrAddMaterial({ color: [112, 112, 118] }),
+            dirt: world.findOrAddMaterial({ color: [134, 96, 67] }),
+            grass: world.findOrAddMaterial({ color: [86, 138, 62] }),
+            sand: world.findOrAddMaterial({ color: [219, 204, 150] }),
+            sandstone: world.findOrAddMaterial({ color: [196, 170, 112] }),
+            gravel: world.findOrAddMaterial({ color: [128, 122, 118] }),
+            snow: world.findOrAddMaterial({ color: [240, 246, 250], roughness: 0.8 }),
+            ice: world.findOrAddMaterial({ color: [165, 205, 240], transparency: 0.4, roughness: 0.1 }),
+            water: world.findOrAddMaterial({ color: [40, 105, 170], transparency: 0.7, roughness: 0.05 }),
+            coal: world.findOrAddMaterial({ color: [40, 40, 42] }),
+            iron: world.findOrAddMaterial({ color: [196, 160, 130], metalness: 0.6, roughness: 0.5 }),
+            gold: world.findOrAddMaterial({ color: [250, 205, 60], metalness: 1, roughness: 0.3 }),
+            diamond: world.findOrAddMaterial({ color: [90, 230, 240], roughness: 0.1, emissive: 0.3 }),
+            wood: world.findOrAddMaterial({ color: [102, 76, 48] }),
+            leaves: world.findOrAddMaterial({ color: [52, 120, 44] }),
+            spruce: world.findOrAddMaterial({ color: [38, 84, 52] }),
+            cactus: world.findOrAddMaterial({ color: [70, 140, 60] })
+        };
+
+        const FOREST = 0, DESERT = 1, SNOW = 2;
+        const ramp = (a, b, v) => Math.max(0, Math.min(1, (v - a) / (b - a)));
+
+        // Surface height, biome and steepness of a column
+        const columnAt = (x, z) => {
+            const continent = terrainNoise.warp2D(x * continentScale, z * continentScale, 0.8, 5);
+            const steepness = ramp(0.05, 0.45, continent) *
+                terrainNoise.ridged2D(x * mountainScale + 31.7, z * mountainScale + 47.2, 5);
+            const height = seaLevel + continent * size * 0.08 + steepness * relief;
+
+            // Colder with altitude, so high peaks are snowy anywhere
+            const temperature = climateNoise.fbm2D(x * climateScale, z * climateScale, 3) -
+                Math.max(0, height - seaLevel) / relief * 0.8;
+            const humidity = climateNoise.fbm2D(x * climateScale + 71.3, z * climateScale + 19.9, 3);
+            const biome = temperature < -0.3 ? SNOW :
+                (temperature > 0.3 && humidity < 0 ? DESERT : FOREST);
+            return { height, biome, steepness };
+        };
+
+        // 3D fields, sampled on a 4-voxel lattice and interpolated: overhangs
+        // push the surface up or down, caves carve where positive (cheese
+        // caverns plus tunnels where two noise fields both cross zero)
+        const LATTICE = 4;
+        const overhangField = (x, y, z) => terrainNoise.fbm3D(x / 32, y / 24, z / 32, 2);
+        const caveField = (x, y, z) => {
+            const cheese = caveNoise.fbm3D(x / 64, y / 40, z / 64, 2) - 0.45;
+            const a = caveNoise.noise3D(x / 72 + 100, y / 48, z / 72);
+            const b = caveNoise.noise3D(x / 72, y / 48 + 100, z / 72);
+            return Math.max(cheese, 0.07 - Math.sqrt(a * a + b * b));
+        };
+
+        // Trilinear weights blend eight lattice values the same way whether
+        // they come from a tile's cache or straight from the field
+        const interpolate = (c, fx, fy, fz) => {
+            const x00 = c[0] + (c[1] - c[0]) * fx, x10 = c[2] + (c[3] - c[2]) * fx;
+            const x01 = c[4] + (c[5] - c[4]) * fx, x11 = c[6] + (c[7] - c[6]) * fx;
+            const y0 = x00 + (x10 - x00) * fy, y1 = x01 + (x11 - x01) * fy;
+            return y0 + (y1 - y0) * fz;
+        };
+        const corners = new Float64Array(8);
+        const latticeAt = (field, x, y, z) => {
+            const lx = Math.floor(x / LATTICE) * LATTICE;
+            const ly = Math.floor(y / LATTICE) * LATTICE;
+            const lz = Math.floor(z / LATTICE) * LATTICE;
+            for (let i = 0; i < 8; i++) {
+                corners[i] = field(lx + (i & 1) * LATTICE, ly + ((i >> 1) & 1) * LATTICE, lz + (i >> 2) * LATTICE);
+            }
+            return interpolate(corners, (x - lx) / LATTICE, (y - ly) / LATTICE, (z - lz) / LATTICE);
+        };
+
+        const solidAt = (column, overhang, y) =>
+            y < column.height + overhang * column.steepness * overhangHeight;
+
+        // Terrain, in 16x16-column tiles sharing a lattice cache
+        const TILE = 16;
+        const rmin = region.min.map(c => Math.max(0, c));
+        const rmax = region.max.map(c => Math.min(size, c));
+        const tilesX = Math.ceil((rmax[0] - rmin[0]) / TILE);
+        const tilesZ = Math.ceil((rmax[2] - rmin[2]) / TILE);
+        const columns = new Array(TILE * TILE);
+
+        for (let ti = 0; ti < tilesX; ti++) {
+            for (let tj = 0; tj < tilesZ; tj++) {
+                const tx0 = rmin[0] + ti * TILE, tx1 = Math.min(rmax[0], tx0 + TILE);
+                const tz0 = rmin[2] + tj * TILE, tz1 = Math.min(rmax[2], tz0 + TILE);
+
+                let top = seaLevel;
+                for (let x = tx0; x < tx1; x++) {
+                    for (let z = tz0; z < tz1; z++) {
+                        const column = columnAt(x, z);
+                        columns[(x - tx0) * TILE + (z - tz0)] = column;
+                        top = Math.max(top, Math.ceil(column.height + column.steepness * overhangHeight));
+                    }
+                }
+                top = Math.min(top, size - 1);
+                if (top < rmin[1]) continue;
+
+                // Lattice cache covering the tile from y = 0 to its highest voxel
+                const lx0 = Math.floor(tx0 / LATTICE) * LATTICE, lz0 = Math.floor(tz0 / LATTICE) * LATTICE;
+                const nx = Math.floor((tx1 - 1 - lx0) / LATTICE) + 2;
+                const nz = Math.floor((tz1 - 1 - lz0) / LATTICE) + 2;
+                const ny = Math.floor(top / LATTICE) + 2;
+                const overhangs = new Float64Array(nx * ny * nz);
+                const caves = new Float64Array(nx * ny * nz);
+                for (let i = 0; i < nx; i++) {
+                    for (let j = 0; j < ny; j++) {
+                        for (let k = 0; k < nz; k++) {
+                            const x = lx0 + i * LATTICE, y = j * LATTICE, z = lz0 + k * LATTICE;
+                            const index = (i * ny + j) * nz + k;
+                            overhangs[index] = overhangField(x, y, z);
+                            caves[index] = caveField(x, y, z);
+                        }
+                    }
+                }
+                const cached = (values, x, y, z) => {
+                    const i = Math.floor((x - lx0) / LATTICE), j = Math.floor(y / LATTICE), k = Math.floor((z - lz0) / LATTICE);
+                    for (let c = 0; c < 8; c++) {
+                        corners[c] = values[((i + (c & 1)) * ny + j + ((c >> 1) & 1)) * nz + k + (c >> 2)];
+                    }
+                    return interpolate(corners, (x - lx0) / LATTICE - i, y / LATTICE - j, (z - lz0) / LATTICE - k);
+                };
+
+                for (let x = tx0; x < tx1; x++) {
+                    for (let z = tz0; z < tz1; z++) {
+                        const column = columns[(x - tx0) * TILE + (z - tz0)];
+                        const underwater = column.height < seaLevel + 2;
+
+                        // Top down, counting solid voxels since the last air
+                        // for the surface layers (caves don't reset the count)
+                        let depth = -1;
+                        for (let y = top; y >= 0; y--) {
+                            const solid = y === 0 || solidAt(column, cached(overhangs, x, y, z), y);
+                            depth = solid ? depth + 1 : -1;
+                            if (y < rmin[1] || y >= rmax[1]) continue;
+
+                            let material = 0;
+                            if (!solid) {
+                                if (y < seaLevel) {
+                                    material = y === seaLevel - 1 && column.biome === SNOW ? M.ice : M.water;
+                                }
+                            } else if (y === 0) {
+                                material = M.bedrock;
+                            } else if (y > 1 && (!underwater || depth > 6) && cached(caves, x, y, z) > 0) {
+                                material = 0;  // Cave; kept sealed under water
+                            } else if (depth < 4 && y < seaLevel + 1) {
+                                material = depth === 0 && y < seaLevel - 4 ? M.gravel : M.sand;  // Sea floor and beaches
+                            } else if (column.biome === DESERT) {
+                                material = depth < 4 ? M.sand : (depth < 10 ? M.sandstone : M.stone);
+                            } else if (depth === 0) {
+                                material = column.biome === SNOW ? M.snow : M.grass;
+                            } else {
+                                material = depth < 4 ? M.dirt : M.stone;
+                            }
+                            if (material) world.setMaterial(x, y, z, material);
+                        }
+                    }
+                }
+            }
+            onProgress((ti + 1) / tilesX * 0.8, 'Terrain...');
+        }
+
+        // Ore veins: random walks replacing stone, rarer and deeper for
+        // richer ores. Each vein walks with its own PRNG so the layout
+        // stream advances the same whether or not the vein is in the region.
+        const ores = [
+            { material: M.coal, count: 1 / 300, maxY: seaLevel + relief * 0.5, length: 12 },
+            { material: M.iron, count: 1 / 500, maxY: seaLevel, length: 8 },
+            { material: M.gold, count: 1 / 1500, maxY: seaLevel * 0.5, length: 6 },
+            { material: M.diamond, count: 1 / 4000, maxY: seaLevel * 0.25, length: 5 }
+        ];
+        for (const ore of ores) {
+            const veins = Math.floor(size * size * ore.count);
+            for (let i = 0; i < veins; i++) {
+                let vx = random() * size, vy = 1 + random() * (ore.maxY - 1), vz = random() * size;
+                const veinRandom = createRandom(Math.floor(random() * 4294967296));
+                const reach = ore.length + 2;
+                if (!regionOverlaps(region, [vx - reach, vy - reach, vz - reach], [vx + reach, vy + reach, vz + reach])) continue;
+
+                for (let step = 0; step < ore.length; step++) {
+                    const radius = 0.8 + veinRandom() * 0.7;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        for (let dy = -1; dy <= 1; dy++) {
+                            for (let dz = -1; dz <= 1; dz++) {
+                                if (dx * dx + dy * dy + dz * dz > radius * radius) continue;
+                                const x = Math.floor(vx) + dx, y = Math.floor(vy) + dy, z = Math.floor(vz) + dz;
+                                if (world.getMaterial(x, y, z) === M.stone) world.setMaterial(x, y, z, ore.material);
+                            }
+                        }
+                    }
+                    vx += veinRandom() * 2 - 1;
+                    vy += veinRandom() * 2 - 1;
+                    vz += veinRandom() * 2 - 1;
+                }
+            }
+        }
+        onProgress(0.9, 'Vegetation...');
+
+        // Oaks in forests, spruces in snow, cacti in deserts
+        const plants = Math.floor(size * size * 0.003);
+        for (let i = 0; i < plants; i++) {
+            const tx = Math.floor(random() * (size - 8)) + 4;
+            const tz = Math.floor(random() * (size - 8)) + 4;
+            const roll = random();
+            const column = columnAt(tx, tz);
+            if (column.height < seaLevel + 1 || column.steepness > 0.3) continue;
+            if (column.biome === DESERT && roll > 0.3) continue;
+            if (!regionOverlaps(region, [tx - 4, 0, tz - 4], [tx + 5, size, tz + 5])) continue;
+
+            // Ground from the density, exactly as the terrain pass saw it
+            let groundY = Math.min(size - 1, Math.ceil(column.height + column.steepness * overhangHeight));
+            while (groundY > 0 && !solidAt(column, latticeAt(overhangField, tx, groundY, tz), groundY)) groundY--;
+
+            if (column.biome === DESERT) {
+                const height = 2 + Math.floor(roll * 10);
+                for (let y = groundY + 1; y <= groundY + height; y++) world.setMaterial(tx, y, tz, M.cactus);
+            } else if (column.biome === SNOW) {
+                const height = 6 + Math.floor(roll * 4);
+                for (let y = groundY + 1; y < groundY + height; y++) world.setMaterial(tx, y, tz, M.wood);
+                for (let dy = 2; dy <= height; dy++) {
+                    const r = Math.floor((height - dy) / 2.5);
+                    for (let dx = -r; dx <= r; dx++) {
+                        for (let dz = -r; dz <= r; dz++) {
+                            if ((dx || dz) && Math.abs(dx) + Math.abs(dz) <= r + 1) {
+                                world.setMaterial(tx + dx, groundY + dy, tz + dz, M.spruce);
+                            }
+                        }
+                    }
+                }
+                world.setMaterial(tx, groundY + height, tz, M.spruce);
+            } else {
+                const height = 4 + Math.floor(roll * 3);
+                for (let y = groundY + 1; y <= groundY + height; y++) world.setMaterial(tx, y, tz, M.wood);
+                const leafY = groundY + height;
+                for (let dx = -2; dx <= 2; dx++) {
+                    for (let dy = -1; dy <= 2; dy++) {
+                        for (let dz = -2; dz <= 2; dz++) {
+                            if (dx * dx + dy * dy + dz * dz > 5 || (!dx && !dz && dy <= 0)) continue;
+                            world.setMaterial(tx + dx, leafY + dy, tz + dz, M.leaves);
+                        }
+                    }
+                }
+            }
+        }
+
+        onProgress(1.0, 'Done!');
+    }
+};
+
+// ============================================================================
+// Chunk Providers (streaming scenes)
+// ============================================================================
+
+// Generate one chunk of an unbounded world on demand. Chunk (cx, cy, cz)
+// spans world.chunkVoxels voxels per axis from (cx, cy, cz) * chunkVoxels.
+const ChunkProviders = {
+    infinite(world, cx, cy, cz) {
+        const n = world.chunkVoxels;
+        const x0 = cx * n, y0 = cy * n, z0 = cz * n;
+        if (y0 < 0) return;  // Bedrock at y = 0
+
+        const scale = 1 / 64;
+        const maxHeight = 96;
+        if (y0 > maxHeight) return;
+
+        for (let x = x0; x < x0 + n; x++) {
+            for (let z = z0; z < z0 + n; z++) {
+                // Multi-octave noise, same shape as the terrain scene
+                const noise1 = Math.sin(x * scale * 2) * Math.cos(z * scale * 2);
+                const noise2 = Math.sin(x * scale * 4 + 1) * Math.cos(z * scale * 4 + 1) * 0.5;
+                const noise3 = Math.sin(x * scale * 8 + 2) * Math.cos(z * scale * 8 + 2) * 0.25;
+                const height = Math.floor(((noise1 + noise2 + noise3) / 1.75 * 0.5 + 0.5) * maxHeight) + 1;
+
+                const top = Math.min(height, y0 + n);
+                for (let y = y0; y < top; y++) {
+                    let color;
+                    if (y === height - 1) {
+                        color = [74, 124, 89]; // Grass
+                    } else if (y > height - 4) {
+                        color = [139, 94, 60]; // Dirt
+                    } else {
+                        color = [107, 107, 107]; // Stone
+                    }
+                    world.setVoxel(x, y, z, ...color);
+                }
+            }
+        }
+    }
+};
+
+// ============================================================================
+// Generator Pool (Web Workers)
+// ============================================================================
+
+// Coarse-grid X slabs per generated world. Fixed rather than per worker so
+// every generation merges the same slabs in the same order, and material
+// storage (ids handed out first-come) gets the same ids on any machine.
+const GENERATOR_SLABS = 32;
+
+// Coarse-grid X slabs [{ min, max }] covering a world, in merge order
+function generatorSlabs(coarseSize) {
+    const width = Math.max(1, Math.ceil(coarseSize / GENERATOR_SLABS));
+    const slabs = [];
+    for (let x = 0; x < coarseSize; x += width) {
+        slabs.push({ min: [x, 0, 0], max: [Math.min(coarseSize, x + width), coarseSize, coarseSize] });
+    }
+    return slabs;
+}
+
+// Generate SceneGenerators[sceneName] on this thread, building the same world
+// as GeneratorPool. Material storage fills slab by slab in a scratch world and
+// merges in slab order like the pool; RGBA has no ids to order and fills directly.
+function generateScene(world, sceneName, options = {}) {
+    const generator = SceneGenerators[sceneName];
+    if (!generator) {
+        throw new Error(`Unknown scene: ${sceneName}`);
+    }
+    if (world.channels === 4) {
+        generator(world, options);
+        return;
+    }
+
+    const seed = options.seed !== undefined ? options.seed >>> 0 : randomSeed();
+    const onProgress = options.onProgress || (() => {});
+    const slabs = generatorSlabs(world.coarseSize);
+    const bs = world.brickSize;
+    const scratch = new BrickMapWorld(world.coarseSize, bs, { storage: world.storage });
+
+    world.clear();
+    slabs.forEach(({ min, max }, i) => {
+        generator(scratch, {
+            region: { min: min.map(c => c * bs), max: max.map(c => c * bs) },
+            seed,
+            onProgress: (fraction, text) => onProgress((i + fraction) / slabs.length, text)
+        });
+        world.mergeBricks(scratch.exportBricks(min, max));
+    });
+}
+
+// Runs SceneGenerators in generator-worker.js over generatorSlabs() and
+// merges finished slabs into the world in slab order, so ids match
+// generateScene(). One job at a time: starting another, cancel() or
+// terminate() stops the current one.
+class GeneratorPool {
+    constructor(workerCount = Math.min(navigator.hardwareConcurrency || 4, 8), scriptUrl = 'generator-worker.js') {
+        this.workerCount = workerCount;
+        this.scriptUrl = scriptUrl;
+        this.workers = [];  // Idle workers are kept for the next job
+        this.job = null;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    // Clear `world` and generate SceneGenerators[sceneName] into it. Options:
+    //   seed        layout seed shared by every slab (random if omitted)
+    //   onProgress  (fraction) as slabs report in
+    //   onBricks    (merged) after each slab is merged, e.g. to upload it
+    // Resolves with { seed, bricks }; rejects if cancelled or a worker fails.
+    generate(world, sceneName, options = {}) {
+        this.cancel();
+
+        const seed = options.seed !== undefined ? options.seed >>> 0 : randomSeed();
+        const onProgress = options.onProgress || (() => {});
+        const onBricks = options.onBricks || (() => {});
+
+        // Several slabs per worker so early slabs stream in and load balances
+        const N = world.coarseSize;
+        const slabs = generatorSlabs(N);
+
+        world.clear();
+
+        return new Promise((resolve, reject) => {
+            // Finished slabs wait in `results` until every earlier slab is merged
+            const job = { reject, progress: new Array(slabs.length).fill(0), results: [], merged: 0, bricks: 0 };
+            this.job = job;
+            let nextSlab = 0;
+
+            const reportProgress = () => {
+                onProgress(job.progress.reduce((sum, p) => sum + p, 0) / slabs.length);
+            };
+
+            const dispatch = (worker) => {
+                if (nextSlab >= slabs.length) return;
+                const slab = nextSlab++;
+                worker.postMessage({
+                    type: 'generate',
+                    slab,
+                    scene: sceneName,
+                    seed,
+                    coarseSize: N,
+                    brickSize: world.brickSize,
+                    storage: world.storage,
+                    min: slabs[slab].min,
+                    max: slabs[slab].max
+                });
+            };
+
+            const fail = (error) => {
+                this.terminate();
+                reject(error);
+            };
+
+            let workers;
+            try {
+                workers = this._spawn(Math.min(this.workerCount, slabs.length));
+            } catch (error) {
+                fail(error);  // e.g. workers blocked for file:// pages
+                return;
+            }
+
+            for (const worker of workers) {
+                worker.onmessage = (e) => {
+                    if (this.job !== job) return;
+                    const message = e.data;
+
+                    if (message.type === 'progress') {
+                        job.progress[message.slab] = message.fraction;
+                        reportProgress();
+                    } else if (message.type === 'bricks') {
+                        job.results[message.slab] = message;
+                        job.progress[message.slab] = 1;
+                        reportProgress();
+
+                        // A throw here (e.g. a full material table) fails the job
+                        try {
+                            while (job.results[job.merged]) {
+                                const merged = world.mergeBricks(job.results[job.merged]);
+                                job.results[job.merged++] = null;
+                                job.bricks += merged;
+                                onBricks(merged);
+                            }
+                        } catch (error) {
+                            fail(error);
+                            return;
+                        }
+
+                        if (job.merged === slabs.length) {
+                            this.job = null;
+                            resolve({ seed, bricks: job.bricks });
+                        } else {
+                            dispatch(worker);
+                        }
+                    } else if (message.type === 'error') {
+                        fail(new Error(`Generator worker failed: ${message.message}`));
+                    }
+                };
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    fail(new Error(`Generator worker failed: ${e.message || this.scriptUrl}`));
+                };
+                dispatch(worker);
+            }
+        });
+    }
+
+    // Stop the running job; its promise rejects and bricks merged so far stay
+    cancel() {
+        const job = this.job;
+        if (!job) return;
+        this.terminate();
+        job.reject(new Error('Generation cancelled'));
+    }
+
+    // Stop all workers (the next generate() spawns new ones)
+    terminate() {
+        for (const worker of this.workers) worker.terminate();
+        this.workers = [];
+        this.job = null;
+    }
+
+    _spawn(count) {
+        while (this.workers.length < count) {
+            this.workers.push(new Worker(this.scriptUrl));
+        }
+        return this.workers.slice(0, count);
+    }
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SceneGenerators, ChunkProviders, GeneratorPool, generateScene, generatorSlabs, createRandom, hashRandom, randomSeed };
+}
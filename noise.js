@@ -0,0 +1,251 @@
+/**
+ * Voxel Ray Traversal Engine v2.1
+ * Coherent Noise
+ *
+ * - 2D and 3D simplex noise in [-1, 1], seeded through a PRNG
+ * - fBm, ridged multifractal and domain-warped variants of both
+ *
+ * Values depend only on the permutation and the position, so slabs and
+ * chunks generated separately from the same seed line up exactly.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Simplex skew/unskew factors
+const SIMPLEX_F2 = 0.5 * (Math.sqrt(3) - 1);
+const SIMPLEX_G2 = (3 - Math.sqrt(3)) / 6;
+const SIMPLEX_F3 = 1 / 3;
+const SIMPLEX_G3 = 1 / 6;
+
+// Gradients: the 12 edge midpoints of a cube (2D noise uses their x, y)
+const SIMPLEX_GRADIENTS = new Float64Array([
+    1, 1, 0,   -1, 1, 0,   1, -1, 0,   -1, -1, 0,
+    1, 0, 1,   -1, 0, 1,   1, 0, -1,   -1, 0, -1,
+    0, 1, 1,   0, -1, 1,   0, 1, -1,   0, -1, -1
+]);
+
+// Scale raw simplex sums to roughly [-1, 1]
+const SIMPLEX_SCALE_2D = 70;
+const SIMPLEX_SCALE_3D = 32;
+
+// Offset between the two warp fields and the warped lookup, so they decorrelate
+const WARP_OFFSET = [5.2, 1.3, 9.7];
+
+// ============================================================================
+// Simplex Noise
+// ============================================================================
+
+// Seeded simplex noise. `random` (default Math.random) shuffles the
+// permutation; a seeded PRNG gives the same field on every run and worker.
+// Fractal variants take octaves, lacunarity (frequency step) and gain
+// (amplitude step).
+class SimplexNoise {
+    constructor(random = Math.random) {
+        const perm = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) perm[i] = i;
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const t = perm[i];
+            perm[i] = perm[j];
+            perm[j] = t;
+        }
+
+        // Doubled so corner hashes never need wrapping; gradient offsets precomputed
+        this.perm = new Uint8Array(512);
+        this.gradient = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = perm[i & 255];
+            this.gradient[i] = (this.perm[i] % 12) * 3;
+        }
+    }
+
+    noise2D(x, y) {
+        const perm = this.perm, gradient = this.gradient, grad = SIMPLEX_GRADIENTS;
+
+        // Skew to find the simplex cell, then the corners relative to it
+        const s = (x + y) * SIMPLEX_F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * SIMPLEX_G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = 1 - i1;
+        const x1 = x0 - i1 + SIMPLEX_G2;
+        const y1 = y0 - j1 + SIMPLEX_G2;
+        const x2 = x0 - 1 + 2 * SIMPLEX_G2;
+        const y2 = y0 - 1 + 2 * SIMPLEX_G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        let n = 0;
+
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 > 0) {
+            const g = gradient[ii + perm[jj]];
+            t0 *= t0;
+            n += t0 * t0 * (grad[g] * x0 + grad[g + 1] * y0);
+        }
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 > 0) {
+            const g = gradient[ii + i1 + perm[jj + j1]];
+            t1 *= t1;
+            n += t1 * t1 * (grad[g] * x1 + grad[g + 1] * y1);
+        }
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 > 0) {
+            const g = gradient[ii + 1 + perm[jj + 1]];
+            t2 *= t2;
+            n += t2 * t2 * (grad[g] * x2 + grad[g + 1] * y2);
+        }
+        return n * SIMPLEX_SCALE_2D;
+    }
+
+    noise3D(x, y, z) {
+        const perm = this.perm, gradient = this.gradient, grad = SIMPLEX_GRADIENTS;
+
+        const s = (x + y + z) * SIMPLEX_F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * SIMPLEX_G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Which of the six tetrahedra of the cube the point is in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0)      { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else               { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0)       { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0)  { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else               { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const x1 = x0 - i1 + SIMPLEX_G3, y1 = y0 - j1 + SIMPLEX_G3, z1 = z0 - k1 + SIMPLEX_G3;
+        const x2 = x0 - i2 + 2 * SIMPLEX_G3, y2 = y0 - j2 + 2 * SIMPLEX_G3, z2 = z0 - k2 + 2 * SIMPLEX_G3;
+        const x3 = x0 - 1 + 3 * SIMPLEX_G3, y3 = y0 - 1 + 3 * SIMPLEX_G3, z3 = z0 - 1 + 3 * SIMPLEX_G3;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        let n = 0;
+
+        let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+        if (t0 > 0) {
+            const g = gradient[ii + perm[jj + perm[kk]]];
+            t0 *= t0;
+            n += t0 * t0 * (grad[g] * x0 + grad[g + 1] * y0 + grad[g + 2] * z0);
+        }
+        let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+        if (t1 > 0) {
+            const g = gradient[ii + i1 + perm[jj + j1 + perm[kk + k1]]];
+            t1 *= t1;
+            n += t1 * t1 * (grad[g] * x1 + grad[g + 1] * y1 + grad[g + 2] * z1);
+        }
+        let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+        if (t2 > 0) {
+            const g = gradient[ii + i2 + perm[jj + j2 + perm[kk + k2]]];
+            t2 *= t2;
+            n += t2 * t2 * (grad[g] * x2 + grad[g + 1] * y2 + grad[g + 2] * z2);
+        }
+        let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+        if (t3 > 0) {
+            const g = gradient[ii + 1 + perm[jj + 1 + perm[kk + 1]]];
+            t3 *= t3;
+            n += t3 * t3 * (grad[g] * x3 + grad[g + 1] * y3 + grad[g + 2] * z3);
+        }
+        return n * SIMPLEX_SCALE_3D;
+    }
+
+    // ========================================================================
+    // Fractal Variants
+    // ========================================================================
+
+    // Fractal Brownian motion: octaves summed and normalized to [-1, 1]
+    fbm2D(x, y, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let sum = 0, amplitude = 1, norm = 0;
+        for (let o = 0; o < octaves; o++) {
+            sum += this.noise2D(x, y) * amplitude;
+            norm += amplitude;
+            amplitude *= gain;
+            x *= lacunarity;
+            y *= lacunarity;
+        }
+        return sum / norm;
+    }
+
+    fbm3D(x, y, z, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let sum = 0, amplitude = 1, norm = 0;
+        for (let o = 0; o < octaves; o++) {
+            sum += this.noise3D(x, y, z) * amplitude;
+            norm += amplitude;
+            amplitude *= gain;
+            x *= lacunarity;
+            y *= lacunarity;
+            z *= lacunarity;
+        }
+        return sum / norm;
+    }
+
+    // Ridged multifractal in [0, 1]: sharp crests where the noise crosses
+    // zero, each octave weighted by the one before so detail gathers on ridges
+    ridged2D(x, y, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let sum = 0, amplitude = 1, norm = 0, weight = 1;
+        for (let o = 0; o < octaves; o++) {
+            let ridge = 1 - Math.abs(this.noise2D(x, y));
+            ridge *= ridge * weight;
+            weight = Math.min(1, ridge * 2);
+            sum += ridge * amplitude;
+            norm += amplitude;
+            amplitude *= gain;
+            x *= lacunarity;
+            y *= lacunarity;
+        }
+        return sum / norm;
+    }
+
+    ridged3D(x, y, z, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let sum = 0, amplitude = 1, norm = 0, weight = 1;
+        for (let o = 0; o < octaves; o++) {
+            let ridge = 1 - Math.abs(this.noise3D(x, y, z));
+            ridge *= ridge * weight;
+            weight = Math.min(1, ridge * 2);
+            sum += ridge * amplitude;
+            norm += amplitude;
+            amplitude *= gain;
+            x *= lacunarity;
+            y *= lacunarity;
+            z *= lacunarity;
+        }
+        return sum / norm;
+    }
+
+    // Domain-warped fBm: the lookup is displaced by fBm fields, up to
+    // `strength` (in noise units) per axis, which bends features into swirls
+    warp2D(x, y, strength = 1, octaves = 4, lacunarity = 2, gain = 0.5) {
+        const wx = this.fbm2D(x, y, 2, lacunarity, gain);
+        const wy = this.fbm2D(x + WARP_OFFSET[0], y + WARP_OFFSET[1], 2, lacunarity, gain);
+        return this.fbm2D(x + wx * strength, y + wy * strength, octaves, lacunarity, gain);
+    }
+
+    warp3D(x, y, z, strength = 1, octaves = 4, lacunarity = 2, gain = 0.5) {
+        const wx = this.fbm3D(x, y, z, 2, lacunarity, gain);
+        const wy = this.fbm3D(x + WARP_OFFSET[0], y + WARP_OFFSET[1], z + WARP_OFFSET[2], 2, lacunarity, gain);
+        const wz = this.fbm3D(x + WARP_OFFSET[2], y + WARP_OFFSET[0], z + WARP_OFFSET[1], 2, lacunarity, gain);
+        return this.fbm3D(x + wx * strength, y + wy * strength, z + wz * strength, octaves, lacunarity, gain);
+    }
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimplexNoise };
+}
@@ -6,197 +6,34 @@
  */
 
 // ============================================================================
-// Scene Generators (Updated for larger worlds)
+// Scene Loading (generators live in generators.js)
 // ============================================================================
 
-const SceneGenerators = {
-    demo(world) {
-        const size = world.worldSize;
-        world.clear();
-        
-        // Ground plane with checkerboard pattern
-        for (let x = 0; x < size; x++) {
-            for (let z = 0; z < size; z++) {
-                const color = ((x + z) % 2 === 0) ? [58, 90, 64] : [88, 129, 87];
-                world.setVoxel(x, 0, z, ...color);
-            }
-        }
-        
-        // Colored structures/columns
-        const structures = [
-            { x: size * 0.3, z: size * 0.3, h: size * 0.4, color: [233, 57, 70] },
-            { x: size * 0.6, z: size * 0.45, h: size * 0.55, color: [69, 123, 157] },
-            { x: size * 0.45, z: size * 0.75, h: size * 0.35, color: [244, 162, 97] },
-            { x: size * 0.75, z: size * 0.25, h: size * 0.5, color: [42, 157, 143] },
-            { x: size * 0.25, z: size * 0.7, h: size * 0.3, color: [233, 196, 106] },
-        ];
-        
-        for (const s of structures) {
-            const w = Math.max(2, Math.floor(size * 0.04));
-            for (let y = 1; y <= s.h; y++) {
-                for (let dx = -w; dx <= w; dx++) {
-                    for (let dz = -w; dz <= w; dz++) {
-                        world.setVoxel(Math.floor(s.x) + dx, y, Math.floor(s.z) + dz, ...s.color);
-                    }
-                }
-            }
-        }
-        
-        // Scattered random voxels
-        const colors = [
-            [155, 34, 38], [174, 32, 18], [187, 62, 3], 
-            [202, 103, 2], [238, 155, 0]
-        ];
-        const scatterCount = Math.floor(size * size * 0.01);
-        for (let i = 0; i < scatterCount; i++) {
-            const x = Math.floor(Math.random() * size);
-            const y = Math.floor(Math.random() * size * 0.1) + 1;
-            const z = Math.floor(Math.random() * size);
-            const color = colors[Math.floor(Math.random() * colors.length)];
-            world.setVoxel(x, y, z, ...color);
-        }
-    },
-    
-    sphere(world) {
-        const size = world.worldSize;
-        world.clear();
-        
-        const cx = size / 2, cy = size / 2, cz = size / 2;
-        const radius = size / 2 - 2;
-        const thickness = Math.max(2, size * 0.04);
-        
-        // Only iterate near the sphere surface for efficiency
-        for (let x = 0; x < size; x++) {
-            for (let y = 0; y < size; y++) {
-                for (let z = 0; z < size; z++) {
-                    const dx = x - cx, dy = y - cy, dz = z - cz;
-                    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-                    
-                    if (dist <= radius && dist >= radius - thickness) {
-                        const r = Math.floor((x / size) * 127 + 128);
-                        const g = Math.floor((y / size) * 127 + 128);
-                        const b = Math.floor((z / size) * 127 + 128);
-                        world.setVoxel(x, y, z, r, g, b);
-                    }
-                }
-            }
-        }
-    },
-    
-    terrain(world) {
-        const size = world.worldSize;
-        world.clear();
-        
-        const scale = 8 / size;  // Adjust scale based on world size
-        
-        // Generate heightmap terrain
-        for (let x = 0; x < size; x++) {
-            for (let z = 0; z < size; z++) {
-                // Multi-octave noise
-                const noise1 = Math.sin(x * scale * 2) * Math.cos(z * scale * 2);
-                const noise2 = Math.sin(x * scale * 4 + 1) * Math.cos(z * scale * 4 + 1) * 0.5;
-                const noise3 = Math.sin(x * scale * 8 + 2) * Math.cos(z * scale * 8 + 2) * 0.25;
-                const height = Math.floor(((noise1 + noise2 + noise3) / 1.75 * 0.5 + 0.5) * size * 0.35) + 1;
-                
-                for (let y = 0; y < height; y++) {
-                    let color;
-                    if (y === height - 1) {
-                        color = [74, 124, 89]; // Grass
-                    } else if (y > height - 4) {
-                        color = [139, 94, 60]; // Dirt
-                    } else {
-                        color = [107, 107, 107]; // Stone
-                    }
-                    world.setVoxel(x, y, z, ...color);
-                }
-            }
-        }
-        
-        // Add trees
-        const numTrees = Math.floor(size * size * 0.0005);
-        for (let i = 0; i < numTrees; i++) {
-            const tx = Math.floor(Math.random() * (size - 6)) + 3;
-            const tz = Math.floor(Math.random() * (size - 6)) + 3;
-            
-            // Find ground height
-            let groundY = 0;
-            for (let y = size - 1; y >= 0; y--) {
-                const voxel = world.getVoxel(tx, y, tz);
-                if (voxel && voxel.a > 0) {
-                    groundY = y;
-                    break;
-                }
-            }
-            
-            if (groundY < 2) continue;
-            
-            const treeHeight = Math.floor(Math.random() * 5) + 5;
-            
-            // Trunk
-            for (let y = groundY + 1; y < groundY + treeHeight + 1; y++) {
-                world.setVoxel(tx, y, tz, 93, 64, 55);
-            }
-            
-            // Leaves
-            const leafY = groundY + treeHeight;
-            const leafRadius = Math.floor(Math.random() * 2) + 2;
-            for (let dx = -leafRadius; dx <= leafRadius; dx++) {
-                for (let dy = 0; dy <= leafRadius; dy++) {
-                    for (let dz = -leafRadius; dz <= leafRadius; dz++) {
-                        if (Math.abs(dx) + Math.abs(dz) + dy <= leafRadius + 1) {
-                            world.setVoxel(tx + dx, leafY + dy, tz + dz, 46, 125, 50);
-                        }
-                    }
-                }
-            }
-        }
-    },
-    
-    city(world) {
-        const size = world.worldSize;
-        world.clear();
-        
-        // Ground (asphalt)
-        for (let x = 0; x < size; x++) {
-            for (let z = 0; z < size; z++) {
-                world.setVoxel(x, 0, z, 66, 66, 66);
-            }
-        }
-        
-        // Buildings on grid
-        const gridSize = Math.max(8, Math.floor(size / 16));
-        const buildingColors = [
-            [120, 144, 156], [144, 164, 174], [176, 190, 197], 
-            [96, 125, 139], [69, 90, 100]
-        ];
-        
-        for (let gx = 1; gx < size / gridSize - 1; gx++) {
-            for (let gz = 1; gz < size / gridSize - 1; gz++) {
-                if (Math.random() > 0.25) {
-                    const bx = gx * gridSize + Math.floor(gridSize * 0.1);
-                    const bz = gz * gridSize + Math.floor(gridSize * 0.1);
-                    const maxHeight = Math.floor(size * 0.6);
-                    const height = Math.floor(Math.random() * maxHeight) + Math.floor(size * 0.05);
-                    const width = Math.floor(Math.random() * 3) + Math.max(3, Math.floor(gridSize * 0.4));
-                    
-                    const color = buildingColors[Math.floor(Math.random() * buildingColors.length)];
-                    
-                    for (let y = 1; y <= height; y++) {
-                        for (let dx = 0; dx < width; dx++) {
-                            for (let dz = 0; dz < width; dz++) {
-                                // Windows on every 3rd-4th floor
-                                const floorInterval = Math.max(3, Math.floor(size / 64));
-                                const isWindow = (y % floorInterval === 0) && ((dx + dz) % 2 === 0);
-                                const voxelColor = isWindow ? [255, 245, 157] : color;
-                                world.setVoxel(bx + dx, y, bz + dz, ...voxelColor);
-                            }
-                        }
-                    }
-                }
-            }
-        }
-    }
-};
+// Chunks generated per frame while streaming
+const STREAMING_LOADS_PER_FRAME = 2;
+
+// Path-traced samples per pixel at most in a screenshot (each is a blocking draw)
+const SCREENSHOT_MAX_SAMPLES = 64;
+
+// ============================================================================
+// Build Palette
+// ============================================================================
+
+const BUILD_PALETTE = [
+    { name: 'Grass', color: [74, 124, 89] },
+    { name: 'Dirt', color: [139, 94, 60] },
+    { name: 'Stone', color: [107, 107, 107] },
+    { name: 'Wood', color: [93, 64, 55] },
+    { name: 'Leaves', color: [46, 125, 50] },
+    { name: 'Brick', color: [178, 34, 34] },
+    { name: 'Sand', color: [237, 201, 175] },
+    { name: 'Water', color: [64, 128, 200] },
+    { name: 'Snow', color: [240, 240, 245] },
+    { name: 'Glass', color: [170, 220, 255], material: { transparency: 0.8, roughness: 0.05 } },
+    { name: 'Lamp', color: [255, 214, 140], material: { emissive: 2 } },
+    { name: 'Lava', color: [255, 90, 20], material: { emissive: 3, roughness: 0.6 } },
+    { name: 'Gold', color: [255, 200, 60], material: { metalness: 1, roughness: 0.3 } }
+];
 
 // ============================================================================
 // Input Handler
@@ -209,16 +46,22 @@ class InputHandler {
         this.isLocked = false;
         this.mouseDelta = { x: 0, y: 0 };
         this.wheelDelta = 0;
+        this.mouseButtons = [];  // Buttons pressed while locked, oldest first
         
         this._setupEventListeners();
     }
     
     _setupEventListeners() {
         window.addEventListener('keydown', (e) => {
+            // Keys typed into form fields (e.g. the seed) aren't controls
+            const target = e.target;
+            if (target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable)) return;
+            
             this.keys[e.code] = true;
             if (e.code === 'Escape' && this.isLocked) {
                 document.exitPointerLock();
             }
+            if (!e.repeat) this._onKeyDown(e.code);
         });
         
         window.addEventListener('keyup', (e) => {
@@ -246,10 +89,24 @@ class InputHandler {
         this.canvas.addEventListener('wheel', (e) => {
             this.wheelDelta += e.deltaY;
         });
+        
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (this.isLocked) this.mouseButtons.push(e.button);
+        });
+        
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
     }
     
     _onPointerLockChange(locked) {}
     
+    _onKeyDown(code) {}
+    
+    getMouseButtons() {
+        const buttons = this.mouseButtons;
+        this.mouseButtons = [];
+        return buttons;
+    }
+    
     getMouseDelta() {
         const delta = { x: this.mouseDelta.x, y: this.mouseDelta.y };
         this.mouseDelta.x = 0;
@@ -305,10 +162,37 @@ class ShowcaseApp {
         this.stats = new StatsTracker();
         
         // Settings
-        this.resolutionScale = 1.0;
+        this.resolutionScale = this.engine.backend === 'cpu' ? 0.25 : 1.0;  // The CPU renderer needs few pixels
         this.coarseSize = 64;  // 64³ coarse grid × 8³ bricks = 512³ world
+        this.storage = 'rgba';  // Voxel storage: 'rgba', 'material8' or 'material16'
         this.currentScene = 'demo';
         
+        // Sky: atmosphere at a time of day, optionally cycling
+        this.engine.settings.timeOfDay = 10;
+        this.dayCycle = false;
+        this.dayLength = 120;  // Seconds per 24 hours while cycling
+        
+        // Build mode
+        this.buildMode = false;
+        this.buildReach = 128;  // Max pick distance in voxels
+        this.selectedBlock = 0;
+        this.target = null;  // Current raycast hit under the crosshair
+        
+        // Camera path: K records a keyframe, P plays the path back
+        this.cameraPath = new CameraPath();
+        this.pathDistance = null;  // Distance along the path while playing
+        this.pathSpeed = 40;  // Voxels per second
+        
+        // Screenshots (F2) render offscreen at a multiple of the view size
+        this.screenshotScale = 2;
+        this.screenshotPending = false;
+
+        // Scenes generate in Web Workers when available
+        this.generatorPool = GeneratorPool.isSupported() ? new GeneratorPool() : null;
+        this.generationId = 0;  // Bumped per scene load; stale jobs are ignored
+        this.generationProgress = null;  // 0-1 while a scene generates
+        this.seed = 1337;  // Same seed and world size, same world
+
         // Setup
         this._setupInputCallbacks();
         this._setupUI();
@@ -329,12 +213,35 @@ class ShowcaseApp {
             if (crosshair) crosshair.classList.toggle('visible', locked);
             if (container) container.classList.toggle('locked', locked);
         };
+        
+        this.input._onKeyDown = (code) => {
+            const ctrl = this.input.isKeyPressed('ControlLeft') || this.input.isKeyPressed('ControlRight') ||
+                         this.input.isKeyPressed('MetaLeft') || this.input.isKeyPressed('MetaRight');
+            if (ctrl && code === 'KeyZ') {
+                this._stepHistory(this.input.isKeyPressed('ShiftLeft') || this.input.isKeyPressed('ShiftRight'));
+            } else if (ctrl && code === 'KeyY') {
+                this._stepHistory(true);
+            } else if (code === 'KeyB') {
+                this._setBuildMode(!this.buildMode);
+            } else if (code === 'KeyK') {
+                this._recordKeyframe();
+            } else if (code === 'KeyP') {
+                this._togglePathPlayback();
+            } else if (code === 'F2') {
+                this._saveScreenshot();
+            } else if (code.startsWith('Digit')) {
+                const slot = (parseInt(code.slice(5)) + 9) % 10;  // Digit0 is the tenth slot
+                if (slot >= 0 && slot < BUILD_PALETTE.length) this._selectBlock(slot);
+            }
+        };
     }
     
     _setupUI() {
         // Resolution scale
         const resolutionSlider = document.getElementById('resolution');
         if (resolutionSlider) {
+            resolutionSlider.value = this.resolutionScale;
+            document.getElementById('resolution-val').textContent = this.resolutionScale + 'x';
             resolutionSlider.addEventListener('input', (e) => {
                 this.resolutionScale = parseFloat(e.target.value);
                 document.getElementById('resolution-val').textContent = this.resolutionScale + 'x';
@@ -351,6 +258,15 @@ class ShowcaseApp {
             });
         }
         
+        // Voxel storage mode
+        const storageSelect = document.getElementById('storage');
+        if (storageSelect) {
+            storageSelect.addEventListener('change', (e) => {
+                this.storage = e.target.value;
+                this._initWorld();
+            });
+        }
+        
         // Max steps
         const maxStepsSlider = document.getElementById('max-steps');
         if (maxStepsSlider) {
@@ -373,9 +289,32 @@ class ShowcaseApp {
         const sceneSelect = document.getElementById('scene');
         if (sceneSelect) {
             sceneSelect.addEventListener('change', (e) => {
+                const wasStreaming = !!ChunkProviders[this.currentScene];
                 this.currentScene = e.target.value;
-                this._loadScene(this.currentScene);
+                // Streaming scenes need a differently configured world
+                if (wasStreaming || ChunkProviders[this.currentScene]) {
+                    this._initWorld();
+                } else {
+                    this._loadScene(this.currentScene);
+                }
+            });
+        }
+        
+        // Seed: regenerate the current scene with it
+        const seedInput = document.getElementById('seed');
+        if (seedInput) {
+            const setSeed = (seed) => {
+                this.seed = seed >>> 0;
+                seedInput.value = this.seed;
+                if (SceneGenerators[this.currentScene]) this._loadScene(this.currentScene);
+            };
+            seedInput.value = this.seed;
+            seedInput.addEventListener('change', (e) => {
+                const seed = parseInt(e.target.value);
+                if (Number.isFinite(seed)) setSeed(seed);
+                else seedInput.value = this.seed;
             });
+            document.getElementById('seed-random').addEventListener('click', () => setSeed(randomSeed()));
         }
         
         // Show normals
@@ -393,33 +332,335 @@ class ShowcaseApp {
                 this.engine.settings.enableShadows = e.target.checked;
             });
         }
+        
+        const shadowDarknessSlider = document.getElementById('shadow-darkness');
+        if (shadowDarknessSlider) {
+            shadowDarknessSlider.addEventListener('input', (e) => {
+                this.engine.settings.shadowDarkness = parseFloat(e.target.value);
+                document.getElementById('shadow-darkness-val').textContent = this.engine.settings.shadowDarkness.toFixed(2);
+            });
+        }
+        
+        const softShadowsCheckbox = document.getElementById('soft-shadows');
+        if (softShadowsCheckbox) {
+            softShadowsCheckbox.addEventListener('change', (e) => {
+                this.engine.settings.softShadows = e.target.checked;
+            });
+        }
+        
+        const shadowSamplesSlider = document.getElementById('shadow-samples');
+        if (shadowSamplesSlider) {
+            shadowSamplesSlider.addEventListener('input', (e) => {
+                this.engine.settings.shadowSamples = parseInt(e.target.value);
+                document.getElementById('shadow-samples-val').textContent = this.engine.settings.shadowSamples;
+            });
+        }
+        
+        // Ambient occlusion
+        const enableAOCheckbox = document.getElementById('enable-ao');
+        if (enableAOCheckbox) {
+            enableAOCheckbox.addEventListener('change', (e) => {
+                this.engine.settings.ambientOcclusion = e.target.checked;
+            });
+        }
+        
+        const aoStrengthSlider = document.getElementById('ao-strength');
+        if (aoStrengthSlider) {
+            aoStrengthSlider.addEventListener('input', (e) => {
+                this.engine.settings.aoStrength = parseFloat(e.target.value);
+                document.getElementById('ao-strength-val').textContent = this.engine.settings.aoStrength.toFixed(2);
+            });
+        }
+        
+        // Time of day
+        const timeOfDaySlider = document.getElementById('time-of-day');
+        if (timeOfDaySlider) {
+            timeOfDaySlider.addEventListener('input', (e) => {
+                this.engine.settings.timeOfDay = parseFloat(e.target.value);
+                document.getElementById('time-of-day-val').textContent = this._formatTime(this.engine.settings.timeOfDay);
+            });
+        }
+        
+        const dayCycleCheckbox = document.getElementById('day-cycle');
+        if (dayCycleCheckbox) {
+            dayCycleCheckbox.addEventListener('change', (e) => {
+                this.dayCycle = e.target.checked;
+            });
+        }
+        
+        // Path tracing
+        const pathTracingCheckbox = document.getElementById('path-tracing');
+        if (pathTracingCheckbox) {
+            pathTracingCheckbox.disabled = !this.engine.supportsPathTracing();
+            pathTracingCheckbox.addEventListener('change', (e) => {
+                this.engine.settings.pathTracing = e.target.checked;
+            });
+        }
+        
+        const maxBouncesSlider = document.getElementById('max-bounces');
+        if (maxBouncesSlider) {
+            maxBouncesSlider.addEventListener('input', (e) => {
+                this.engine.settings.maxBounces = parseInt(e.target.value);
+                document.getElementById('max-bounces-val').textContent = this.engine.settings.maxBounces;
+            });
+        }
+        
+        // Build mode
+        const buildModeCheckbox = document.getElementById('build-mode');
+        if (buildModeCheckbox) {
+            buildModeCheckbox.addEventListener('change', (e) => {
+                this._setBuildMode(e.target.checked);
+            });
+        }
+        
+        // Camera path
+        const pathButtons = {
+            'path-record': () => this._recordKeyframe(),
+            'path-play': () => this._togglePathPlayback(),
+            'path-clear': () => this._setCameraPath(new CameraPath()),
+            'path-save': () => this._saveCameraPath(),
+            'path-load': () => document.getElementById('path-file').click()
+        };
+        for (const [id, handler] of Object.entries(pathButtons)) {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        }
+        
+        const screenshotScaleSelect = document.getElementById('screenshot-scale');
+        if (screenshotScaleSelect) {
+            screenshotScaleSelect.addEventListener('change', (e) => {
+                this.screenshotScale = parseInt(e.target.value);
+            });
+            document.getElementById('screenshot').addEventListener('click', () => this._saveScreenshot());
+        }
+        
+        const pathFileInput = document.getElementById('path-file');
+        if (pathFileInput) {
+            pathFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this._loadCameraPath(file);
+                e.target.value = '';
+            });
+        }
+        
+        const pathSpeedSlider = document.getElementById('path-speed');
+        if (pathSpeedSlider) {
+            pathSpeedSlider.addEventListener('input', (e) => {
+                this.pathSpeed = parseFloat(e.target.value);
+                document.getElementById('path-speed-val').textContent = this.pathSpeed;
+            });
+        }
+        
+        // Block palette swatches
+        const paletteContainer = document.getElementById('block-palette');
+        if (paletteContainer) {
+            BUILD_PALETTE.forEach((block, i) => {
+                const swatch = document.createElement('button');
+                swatch.className = 'swatch';
+                swatch.title = i < 10 ? `${(i + 1) % 10}: ${block.name}` : block.name;  // Keys 1-9, 0
+                swatch.style.background = `rgb(${block.color.join(',')})`;
+                swatch.addEventListener('click', () => this._selectBlock(i));
+                paletteContainer.appendChild(swatch);
+            });
+            this._selectBlock(this.selectedBlock);
+        }
+    }
+    
+    _setBuildMode(enabled) {
+        this.buildMode = enabled;
+        if (!enabled) {
+            this.target = null;
+            this.engine.settings.highlightVoxel = null;
+        }
+        const checkbox = document.getElementById('build-mode');
+        if (checkbox) checkbox.checked = enabled;
+    }
+    
+    _selectBlock(index) {
+        this.selectedBlock = index;
+        const swatches = document.querySelectorAll('#block-palette .swatch');
+        swatches.forEach((swatch, i) => swatch.classList.toggle('selected', i === index));
+        const blockName = document.getElementById('block-name');
+        if (blockName) blockName.textContent = BUILD_PALETTE[index].name;
+    }
+    
+    // Add the current view to the camera path
+    _recordKeyframe() {
+        const index = this.cameraPath.addKeyframe(this.engine.camera);
+        console.log(`Camera keyframe ${index + 1} recorded`);
+    }
+    
+    // Play the camera path from its start, or stop a playback in progress
+    _togglePathPlayback() {
+        if (this.pathDistance !== null) {
+            this.pathDistance = null;
+        } else if (this.cameraPath.keyframes.length > 0) {
+            this.pathDistance = 0;
+        }
+    }
+    
+    _setCameraPath(path) {
+        this.cameraPath = path;
+        this.pathDistance = null;
+    }
+    
+    // Download the camera path as JSON
+    _saveCameraPath() {
+        const json = JSON.stringify(this.cameraPath, null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = 'camera-path.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    // Render the view at screenshotScale × its displayed size and download it as PNG
+    async _saveScreenshot() {
+        if (this.screenshotPending) return;
+        this.screenshotPending = true;
+        
+        const container = this.canvas.parentElement;
+        try {
+            const blob = await this.engine.renderToImage({
+                width: Math.max(1, Math.floor(container.clientWidth * this.screenshotScale)),
+                height: Math.max(1, Math.floor(container.clientHeight * this.screenshotScale)),
+                type: 'png',
+                // Path traced: as converged as the view, within a bounded stall
+                samples: Math.max(1, Math.min(SCREENSHOT_MAX_SAMPLES, this.engine.getSampleCount()))
+            });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `screenshot-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Screenshot failed:', error);
+        } finally {
+            this.screenshotPending = false;
+        }
+    }
+    
+    // Load a saved camera path and jump to its first keyframe, so a
+    // single-keyframe file reproduces an exact view
+    async _loadCameraPath(file) {
+        try {
+            const path = CameraPath.fromJSON(await file.text());
+            this._setCameraPath(path);
+            if (path.keyframes.length > 0) path.apply(this.engine.camera, 0);
+            console.log(`Camera path loaded: ${path.keyframes.length} keyframes, ${path.length.toFixed(0)} voxels`);
+        } catch (error) {
+            console.error(`Failed to load camera path: ${error.message}`);
+        }
+    }
+    
+    // Move the camera along the path at constant speed; returns false when not playing
+    _updatePathPlayback(deltaTime) {
+        if (this.pathDistance === null) return false;
+        
+        this.pathDistance = Math.min(this.pathDistance + this.pathSpeed * deltaTime, this.cameraPath.length);
+        this.cameraPath.apply(this.engine.camera, this.pathDistance);
+        if (this.pathDistance >= this.cameraPath.length) this.pathDistance = null;
+        return true;
+    }
+    
+    // Undo (or redo) the latest build edit and upload the restored bricks
+    _stepHistory(redo) {
+        const world = this.engine.world;
+        let label;
+        try {
+            label = redo ? world.redo() : world.undo();
+        } catch (error) {
+            console.warn(error.message);  // e.g. the edit streamed out of the window
+            return;
+        }
+        if (label === null) return;
+        console.log(`${redo ? 'Redo' : 'Undo'}: ${label}`);
+        this.engine.uploadDirtyBricks();
+    }
+    
+    // Plain blocks are bare colors; blocks with material properties need a table entry
+    _placeBlock(x, y, z, block) {
+        const world = this.engine.world;
+        if (!block.material) return world.setVoxel(x, y, z, ...block.color);
+        
+        const material = Object.assign({ color: block.color }, block.material);
+        let id = world.findMaterial(material);
+        if (id === undefined) {
+            if (world.materials.length > world.maxMaterials) {
+                console.warn(`Material table full, placing ${block.name} as a plain color`);
+                return world.setVoxel(x, y, z, ...block.color);
+            }
+            id = world.addMaterial(material);
+        }
+        return world.setMaterial(x, y, z, id);
     }
     
     _initWorld() {
-        console.log(`Creating world: ${this.coarseSize}³ coarse grid (${this.coarseSize * 8}³ voxels)`);
-        this.engine.createWorld(this.coarseSize, 8);
+        const chunkProvider = ChunkProviders[this.currentScene];
+        console.log(`Creating world: ${this.coarseSize}³ coarse grid (${this.coarseSize * 8}³ voxels, ${this.storage} storage${chunkProvider ? ', streaming' : ''})`);
+        this.engine.createWorld(this.coarseSize, 8, {
+            storage: this.storage,
+            streaming: !!chunkProvider,
+            chunkProvider
+        });
         this._loadScene(this.currentScene);
     }
     
     _loadScene(sceneName) {
         console.log(`Loading scene: ${sceneName}`);
-        const startTime = performance.now();
-        
-        const generator = SceneGenerators[sceneName];
-        if (generator) {
-            generator(this.engine.world);
-            this.engine.uploadWorld();
-            
+        const generationId = ++this.generationId;
+        if (this.generatorPool) this.generatorPool.cancel();
+        this.generationProgress = null;
+
+        const size = this.engine.world.worldSize;
+        if (ChunkProviders[sceneName]) {
+            // Chunks stream in around the camera from the game loop
+            this.engine.camera.setPosition(0, 80, 0);
+            this.engine.camera.yaw = 0;
+            this.engine.camera.pitch = -0.3;
+            this.engine.camera.moveSpeed = size * 0.5;
+            this.engine.updateStreaming(0);
+        } else if (SceneGenerators[sceneName]) {
             // Reset camera position
-            const size = this.engine.world.worldSize;
             this.engine.camera.setPosition(size / 2, size * 0.6, -size * 0.2);
             this.engine.camera.yaw = 0;
             this.engine.camera.pitch = -0.3;
             this.engine.camera.moveSpeed = size * 0.5;  // Scale speed with world size
+            this._generateScene(sceneName, generationId);
         }
-        
+    }
+
+    // Generate a scene in the worker pool, uploading slabs as they arrive.
+    // Falls back to the main thread if workers are unavailable or fail
+    // (e.g. pages opened from file://).
+    async _generateScene(sceneName, generationId) {
+        const engine = this.engine;
+        const world = engine.world;
+        const startTime = performance.now();
+
+        try {
+            if (!this.generatorPool) throw new Error('Web Workers not supported');
+
+            this.generationProgress = 0;
+            const job = this.generatorPool.generate(world, sceneName, {
+                seed: this.seed,
+                onProgress: (fraction) => { this.generationProgress = fraction; },
+                onBricks: () => engine.uploadDirtyBricks()
+            });
+            engine.uploadDirtyBricks();  // Show the cleared world while slabs arrive
+            await job;
+        } catch (error) {
+            if (generationId !== this.generationId) return;  // Superseded by another load
+            console.warn(`${error.message}; generating ${sceneName} on the main thread`);
+            generateScene(world, sceneName, { seed: this.seed });
+            engine.uploadWorld();
+        }
+
+        if (generationId !== this.generationId) return;
+        this.generationProgress = null;
+
         const elapsed = performance.now() - startTime;
-        console.log(`Scene loaded in ${elapsed.toFixed(0)}ms - ${this.engine.getVoxelCount().toLocaleString()} voxels in ${this.engine.getBrickCount()} bricks`);
+        console.log(`Scene loaded in ${elapsed.toFixed(0)}ms (seed ${this.seed}) - ${engine.getVoxelCount().toLocaleString()} voxels in ${engine.getBrickCount()} bricks`);
     }
     
     _handleResize() {
@@ -430,6 +671,8 @@ class ShowcaseApp {
     }
     
     _updateCamera(deltaTime) {
+        if (this._updatePathPlayback(deltaTime)) return;
+        
         const camera = this.engine.camera;
         const input = this.input;
         const speed = camera.moveSpeed * deltaTime;
@@ -461,6 +704,59 @@ class ShowcaseApp {
         }
     }
     
+    _updateBuild() {
+        const buttons = this.input.getMouseButtons();
+        if (!this.buildMode) return;
+        
+        const engine = this.engine;
+        const camera = engine.camera;
+        const world = engine.world;
+        
+        this.target = world.raycast(camera.position, camera.getDirection(), this.buildReach, engine.settings.maxSteps);
+        
+        for (const button of buttons) {
+            if (!this.target) break;
+            
+            if (button === 0) {
+                // Left click: remove
+                const [x, y, z] = this.target.position;
+                world.edit('Remove voxel', () => world.setVoxel(x, y, z, 0, 0, 0, 0));
+            } else if (button === 2) {
+                // Right click: place against the targeted face (never inside the camera)
+                const [x, y, z] = this.target.adjacent;
+                const cam = camera.position.map(Math.floor);
+                if (x === cam[0] && y === cam[1] && z === cam[2]) continue;
+                const block = BUILD_PALETTE[this.selectedBlock];
+                world.edit(`Place ${block.name}`, () => this._placeBlock(x, y, z, block));
+            }
+            
+            this.target = world.raycast(camera.position, camera.getDirection(), this.buildReach, engine.settings.maxSteps);
+        }
+        
+        // Stream edits to the GPU before this frame renders
+        engine.uploadDirtyBricks();
+        engine.settings.highlightVoxel = this.target ? this.target.position : null;
+    }
+    
+    // Advance the time of day while the day/night cycle runs
+    _updateDayCycle(deltaTime) {
+        if (!this.dayCycle) return;
+        
+        const settings = this.engine.settings;
+        settings.timeOfDay = (settings.timeOfDay + deltaTime * 24 / this.dayLength) % 24;
+        
+        const slider = document.getElementById('time-of-day');
+        if (slider) slider.value = settings.timeOfDay;
+        const label = document.getElementById('time-of-day-val');
+        if (label) label.textContent = this._formatTime(settings.timeOfDay);
+    }
+    
+    // Hours as HH:MM
+    _formatTime(hours) {
+        const minutes = Math.floor(hours * 60) % (24 * 60);
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    
     _updateStats() {
         this.stats.update();
         
@@ -468,15 +764,25 @@ class ShowcaseApp {
         const dir = camera.getDirection();
         const res = this.engine.getResolution();
         const mem = this.engine.getMemoryUsage();
+        const profiler = this.engine.profiler;
+        const renderTime = profiler.getStats();
         
         const elements = {
             'fps': this.stats.fps,
             'frame-time': this.stats.frameTime.toFixed(1) + ' ms',
+            'render-time-label': profiler.mode === 'gpu' ? 'GPU Time (p95)' : 'CPU Time (p95)',
+            'render-time': renderTime ? `${renderTime.avg.toFixed(2)} ms (${renderTime.p95.toFixed(2)})` : '-',
+            'render-passes': profiler.getScopeNames()
+                .map(name => `${name} ${profiler.getStats(name).avg.toFixed(2)}`).join(' · ') || '-',
             'resolution-display': `${res.width} x ${res.height}`,
+            'sample-count': this.engine.settings.pathTracing ? this.engine.getSampleCount() : '-',
             'voxel-count': this.engine.getVoxelCount().toLocaleString(),
             'brick-count': this.engine.getBrickCount().toLocaleString(),
             'world-size-display': `${this.engine.getWorldSize()}³`,
             'memory-usage': mem.totalMB.toFixed(2) + ' MB',
+            'path-keyframes': this.cameraPath.keyframes.length +
+                (this.pathDistance !== null ? ` (playing ${Math.floor(this.pathDistance / Math.max(this.cameraPath.length, 1e-6) * 100)}%)` : ''),
+            'generation-progress': this.generationProgress === null ? 'Done' : Math.floor(this.generationProgress * 100) + '%',
             'cam-pos': `(${camera.position[0].toFixed(0)}, ${camera.position[1].toFixed(0)}, ${camera.position[2].toFixed(0)})`,
             'cam-dir': `(${dir[0].toFixed(2)}, ${dir[1].toFixed(2)}, ${dir[2].toFixed(2)})`
         };
@@ -496,6 +802,9 @@ class ShowcaseApp {
             lastTime = now;
             
             this._updateCamera(deltaTime);
+            this.engine.updateStreaming(STREAMING_LOADS_PER_FRAME);
+            this._updateBuild();
+            this._updateDayCycle(deltaTime);
             this.engine.render();
             this._updateStats();
             
@@ -511,5 +820,5 @@ class ShowcaseApp {
 // ============================================================================
 
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ShowcaseApp, SceneGenerators, InputHandler, StatsTracker };
+    module.exports = { ShowcaseApp, InputHandler, StatsTracker, BUILD_PALETTE };
 }
@@ -0,0 +1,537 @@
+/**
+ * Voxel Ray Traversal Engine v2.1
+ * MagicaVoxel .vox Import/Export
+ *
+ * - Reads SIZE/XYZI/RGBA chunks and nTRN/nGRP/nSHP scene graphs
+ * - Stamps models into a BrickMapWorld at a given offset
+ * - Writes a world region back to .vox with a quantized 255-color palette
+ *
+ * MagicaVoxel is Z-up; the engine is Y-up. Vox Y maps to engine Z and
+ * vox Z maps to engine Y (and vice versa on export).
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const VOX_MAGIC = 'VOX ';
+const VOX_VERSION = 150;
+const VOX_MAX_MODEL_SIZE = 256;
+const VOX_MAX_COLORS = 255;
+
+// MagicaVoxel default palette (used when a file has no RGBA chunk).
+// Index 0 is unused; 1-215 are the 6-level RGB cube without black,
+// 216-255 are 10-step ramps of red, green, blue and grey.
+const VOX_DEFAULT_PALETTE = (() => {
+    const palette = new Uint8Array(256 * 4);
+    const levels = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+    const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+    let i = 1;
+
+    for (const r of levels) {
+        for (const g of levels) {
+            for (const b of levels) {
+                if (r === 0 && g === 0 && b === 0) continue;
+                palette.set([r, g, b, 255], i++ * 4);
+            }
+        }
+    }
+    for (let channel = 0; channel < 4; channel++) {
+        for (const v of ramp) {
+            const rgb = channel === 3 ? [v, v, v] : [0, 0, 0].map((_, c) => c === channel ? v : 0);
+            palette.set([...rgb, 255], i++ * 4);
+        }
+    }
+    return palette;
+})();
+
+// ============================================================================
+// Reader
+// ============================================================================
+
+class VoxReader {
+    constructor(buffer) {
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        this.offset = 0;
+    }
+
+    int32() {
+        const v = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return v;
+    }
+
+    id() {
+        const b = this.bytes;
+        const o = this.offset;
+        this.offset += 4;
+        return String.fromCharCode(b[o], b[o + 1], b[o + 2], b[o + 3]);
+    }
+
+    string() {
+        const length = this.int32();
+        let s = '';
+        for (let i = 0; i < length; i++) s += String.fromCharCode(this.bytes[this.offset + i]);
+        this.offset += length;
+        return s;
+    }
+
+    dict() {
+        const count = this.int32();
+        const dict = {};
+        for (let i = 0; i < count; i++) {
+            const key = this.string();
+            dict[key] = this.string();
+        }
+        return dict;
+    }
+}
+
+// ============================================================================
+// Writer
+// ============================================================================
+
+class VoxWriter {
+    constructor() {
+        this.bytes = new Uint8Array(1024);
+        this.length = 0;
+    }
+
+    _reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + count) capacity *= 2;
+        const grown = new Uint8Array(capacity);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    uint8(v) {
+        this._reserve(1);
+        this.bytes[this.length++] = v;
+    }
+
+    int32(v) {
+        this._reserve(4);
+        new DataView(this.bytes.buffer).setInt32(this.length, v, true);
+        this.length += 4;
+    }
+
+    id(s) {
+        for (let i = 0; i < 4; i++) this.uint8(s.charCodeAt(i));
+    }
+
+    string(s) {
+        this.int32(s.length);
+        for (let i = 0; i < s.length; i++) this.uint8(s.charCodeAt(i));
+    }
+
+    dict(entries) {
+        const keys = Object.keys(entries);
+        this.int32(keys.length);
+        for (const key of keys) {
+            this.string(key);
+            this.string(String(entries[key]));
+        }
+    }
+
+    // Write a leaf chunk whose content is produced by fn
+    chunk(id, fn) {
+        this.id(id);
+        const sizeOffset = this.length;
+        this.int32(0);
+        this.int32(0);
+        const start = this.length;
+        fn(this);
+        new DataView(this.bytes.buffer).setInt32(sizeOffset, this.length - start, true);
+    }
+
+    toArrayBuffer() {
+        return this.bytes.slice(0, this.length).buffer;
+    }
+}
+
+// ============================================================================
+// Transform Helpers
+// ============================================================================
+
+// Decode the packed _r rotation byte into a row-major 3×3 matrix
+function voxDecodeRotation(bits) {
+    const row0 = bits & 3;
+    const row1 = (bits >> 2) & 3;
+    const row2 = 3 - row0 - row1;
+    const m = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+    m[row0] = (bits & 16) ? -1 : 1;
+    m[3 + row1] = (bits & 32) ? -1 : 1;
+    m[6 + row2] = (bits & 64) ? -1 : 1;
+    return m;
+}
+
+function voxMulMatrix(a, b) {
+    const m = new Array(9);
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+            m[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+        }
+    }
+    return m;
+}
+
+function voxMulVector(m, v) {
+    return [
+        m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+        m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+        m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+    ];
+}
+
+const VOX_IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// ============================================================================
+// Palette Quantization (median cut)
+// ============================================================================
+
+// colors: Map<packedRGB, count>. Returns Map<packedRGB, paletteIndex 1-255> and palette bytes
+function voxQuantizePalette(colors) {
+    const palette = new Uint8Array(256 * 4);
+    const lookup = new Map();
+    const entries = Array.from(colors.keys());
+
+    if (entries.length <= VOX_MAX_COLORS) {
+        entries.forEach((rgb, i) => {
+            palette.set([(rgb >> 16) & 255, (rgb >> 8) & 255, rgb & 255, 255], (i + 1) * 4);
+            lookup.set(rgb, i + 1);
+        });
+        return { palette, lookup };
+    }
+
+    const channel = (rgb, c) => (rgb >> (16 - c * 8)) & 255;
+    const boxes = [entries];
+
+    while (boxes.length < VOX_MAX_COLORS) {
+        // Split the box with the widest channel range
+        let best = -1, bestRange = 0, bestChannel = 0;
+        boxes.forEach((box, b) => {
+            if (box.length < 2) return;
+            for (let c = 0; c < 3; c++) {
+                let lo = 255, hi = 0;
+                for (const rgb of box) {
+                    const v = channel(rgb, c);
+                    if (v < lo) lo = v;
+                    if (v > hi) hi = v;
+                }
+                if (hi - lo > bestRange) {
+                    bestRange = hi - lo;
+                    best = b;
+                    bestChannel = c;
+                }
+            }
+        });
+        if (best < 0) break;
+
+        const box = boxes[best].sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+        const mid = box.length >> 1;
+        boxes.splice(best, 1, box.slice(0, mid), box.slice(mid));
+    }
+
+    boxes.forEach((box, i) => {
+        // Count-weighted average color of the box
+        let r = 0, g = 0, b = 0, n = 0;
+        for (const rgb of box) {
+            const count = colors.get(rgb);
+            r += channel(rgb, 0) * count;
+            g += channel(rgb, 1) * count;
+            b += channel(rgb, 2) * count;
+            n += count;
+            lookup.set(rgb, i + 1);
+        }
+        palette.set([Math.round(r / n), Math.round(g / n), Math.round(b / n), 255], (i + 1) * 4);
+    });
+
+    return { palette, lookup };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+const VoxIO = {
+    // Parse a .vox file into models, palette and placed instances
+    parse(buffer) {
+        const reader = new VoxReader(buffer);
+        if (buffer.byteLength < 8 || reader.id() !== VOX_MAGIC) {
+            throw new Error('Invalid .vox file: bad magic');
+        }
+        const version = reader.int32();
+
+        const models = [];
+        const nodes = new Map();
+        let palette = VOX_DEFAULT_PALETTE;
+        let pendingSize = null;
+
+        // MAIN chunk header, children follow immediately
+        if (reader.id() !== 'MAIN') {
+            throw new Error('Invalid .vox file: missing MAIN chunk');
+        }
+        const mainContent = reader.int32();
+        const mainChildren = reader.int32();
+        reader.offset += mainContent;
+        const end = Math.min(buffer.byteLength, reader.offset + mainChildren);
+
+        while (reader.offset + 12 <= end) {
+            const id = reader.id();
+            const contentBytes = reader.int32();
+            const childrenBytes = reader.int32();
+            const next = reader.offset + contentBytes + childrenBytes;
+
+            switch (id) {
+                case 'SIZE':
+                    pendingSize = [reader.int32(), reader.int32(), reader.int32()];
+                    break;
+                case 'XYZI': {
+                    if (!pendingSize) throw new Error('Invalid .vox file: XYZI without SIZE');
+                    const count = reader.int32();
+                    const voxels = reader.bytes.slice(reader.offset, reader.offset + count * 4);
+                    models.push({ size: pendingSize, voxels });
+                    pendingSize = null;
+                    break;
+                }
+                case 'RGBA':
+                    // Chunk color i belongs to palette index i + 1
+                    palette = new Uint8Array(256 * 4);
+                    palette.set(reader.bytes.subarray(reader.offset, reader.offset + 255 * 4), 4);
+                    break;
+                case 'nTRN': {
+                    const nodeId = reader.int32();
+                    reader.dict();
+                    const child = reader.int32();
+                    reader.int32();  // reserved
+                    reader.int32();  // layer
+                    const frameCount = reader.int32();
+                    let frame = {};
+                    for (let f = 0; f < frameCount; f++) {
+                        const attrs = reader.dict();
+                        if (f === 0) frame = attrs;
+                    }
+                    const t = frame._t ? frame._t.split(' ').map(Number) : [0, 0, 0];
+                    const r = frame._r !== undefined ? voxDecodeRotation(parseInt(frame._r)) : VOX_IDENTITY;
+                    nodes.set(nodeId, { type: 'transform', child, translation: t, rotation: r });
+                    break;
+                }
+                case 'nGRP': {
+                    const nodeId = reader.int32();
+                    reader.dict();
+                    const count = reader.int32();
+                    const children = [];
+                    for (let i = 0; i < count; i++) children.push(reader.int32());
+                    nodes.set(nodeId, { type: 'group', children });
+                    break;
+                }
+                case 'nSHP': {
+                    const nodeId = reader.int32();
+                    reader.dict();
+                    const count = reader.int32();
+                    const modelIds = [];
+                    for (let i = 0; i < count; i++) {
+                        modelIds.push(reader.int32());
+                        reader.dict();
+                    }
+                    nodes.set(nodeId, { type: 'shape', models: modelIds });
+                    break;
+                }
+            }
+
+            reader.offset = next;
+        }
+
+        // Flatten scene graph into instances
+        const instances = [];
+        const visit = (nodeId, rotation, translation, depth) => {
+            const node = nodes.get(nodeId);
+            if (!node || depth > 64) return;
+
+            if (node.type === 'transform') {
+                const t = voxMulVector(rotation, node.translation);
+                visit(node.child, voxMulMatrix(rotation, node.rotation),
+                      [translation[0] + t[0], translation[1] + t[1], translation[2] + t[2]], depth + 1);
+            } else if (node.type === 'group') {
+                for (const child of node.children) visit(child, rotation, translation, depth + 1);
+            } else {
+                for (const modelId of node.models) {
+                    if (models[modelId]) instances.push({ modelId, rotation, translation, centered: true });
+                }
+            }
+        };
+
+        if (nodes.size > 0) {
+            visit(0, VOX_IDENTITY, [0, 0, 0], 0);
+        } else {
+            models.forEach((_, modelId) => {
+                instances.push({ modelId, rotation: VOX_IDENTITY, translation: [0, 0, 0], centered: false });
+            });
+        }
+
+        return { version, models, palette, instances };
+    },
+
+    // Stamp every instance of a parsed (or raw) .vox file into the world.
+    // The scene's minimum corner is placed at offset (engine coordinates).
+    importIntoWorld(world, source, offset = [0, 0, 0]) {
+        const vox = source instanceof ArrayBuffer ? this.parse(source) : source;
+
+        // Resolve each voxel to vox-space position, tracking scene bounds
+        const placed = [];
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+
+        for (const inst of vox.instances) {
+            const model = vox.models[inst.modelId];
+            const pivot = inst.centered ? model.size.map(s => Math.floor(s / 2)) : [0, 0, 0];
+            const positions = new Int32Array(model.voxels.length / 4 * 3);
+
+            for (let i = 0, p = 0; i < model.voxels.length; i += 4, p += 3) {
+                const local = [
+                    model.voxels[i] - pivot[0],
+                    model.voxels[i + 1] - pivot[1],
+                    model.voxels[i + 2] - pivot[2]
+                ];
+                const v = voxMulVector(inst.rotation, local);
+                for (let a = 0; a < 3; a++) {
+                    const w = v[a] + inst.translation[a];
+                    positions[p + a] = w;
+                    if (w < min[a]) min[a] = w;
+                    if (w > max[a]) max[a] = w;
+                }
+            }
+            placed.push({ model, positions });
+        }
+
+        if (placed.length === 0 || min[0] === Infinity) {
+            return { size: [0, 0, 0], voxelCount: 0 };
+        }
+
+        let voxelCount = 0;
+        const palette = vox.palette;
+
+        for (const { model, positions } of placed) {
+            for (let i = 0, p = 0; i < model.voxels.length; i += 4, p += 3) {
+                const c = model.voxels[i + 3] * 4;
+                // Swap vox Y/Z into engine Y-up
+                const x = offset[0] + positions[p] - min[0];
+                const y = offset[1] + positions[p + 2] - min[2];
+                const z = offset[2] + positions[p + 1] - min[1];
+                if (world.setVoxel(x, y, z, palette[c], palette[c + 1], palette[c + 2])) {
+                    voxelCount++;
+                }
+            }
+        }
+
+        return {
+            size: [max[0] - min[0] + 1, max[2] - min[2] + 1, max[1] - min[1] + 1],
+            voxelCount
+        };
+    },
+
+    // Export a world region (engine coordinates) to a .vox ArrayBuffer.
+    // Regions larger than 256 on any axis are split into multiple models.
+    exportRegion(world, min, size) {
+        // Collect occupied voxels and their colors
+        const colors = new Map();
+        const tiles = new Map();
+        const tileKey = (tx, ty, tz) => `${tx},${ty},${tz}`;
+
+        for (let y = 0; y < size[1]; y++) {
+            for (let z = 0; z < size[2]; z++) {
+                for (let x = 0; x < size[0]; x++) {
+                    const voxel = world.getVoxel(min[0] + x, min[1] + y, min[2] + z);
+                    if (!voxel || voxel.a === 0) continue;
+
+                    const rgb = (voxel.r << 16) | (voxel.g << 8) | voxel.b;
+                    colors.set(rgb, (colors.get(rgb) || 0) + 1);
+
+                    // Vox-space coordinates (engine Z → vox Y, engine Y → vox Z)
+                    const vx = x, vy = z, vz = y;
+                    const tx = Math.floor(vx / VOX_MAX_MODEL_SIZE);
+                    const ty = Math.floor(vy / VOX_MAX_MODEL_SIZE);
+                    const tz = Math.floor(vz / VOX_MAX_MODEL_SIZE);
+                    const key = tileKey(tx, ty, tz);
+                    if (!tiles.has(key)) tiles.set(key, { tile: [tx, ty, tz], voxels: [] });
+                    tiles.get(key).voxels.push(vx % VOX_MAX_MODEL_SIZE, vy % VOX_MAX_MODEL_SIZE, vz % VOX_MAX_MODEL_SIZE, rgb);
+                }
+            }
+        }
+
+        const { palette, lookup } = voxQuantizePalette(colors);
+        const voxSize = [size[0], size[2], size[1]];
+        const models = Array.from(tiles.values()).map(({ tile, voxels }) => ({
+            origin: tile.map(t => t * VOX_MAX_MODEL_SIZE),
+            size: tile.map((t, a) => Math.min(VOX_MAX_MODEL_SIZE, voxSize[a] - t * VOX_MAX_MODEL_SIZE)),
+            voxels
+        }));
+
+        const writer = new VoxWriter();
+        writer.id(VOX_MAGIC);
+        writer.int32(VOX_VERSION);
+
+        writer.id('MAIN');
+        writer.int32(0);
+        const childrenOffset = writer.length;
+        writer.int32(0);
+        const childrenStart = writer.length;
+
+        for (const model of models) {
+            writer.chunk('SIZE', w => model.size.forEach(s => w.int32(s)));
+            writer.chunk('XYZI', w => {
+                w.int32(model.voxels.length / 4);
+                for (let i = 0; i < model.voxels.length; i += 4) {
+                    w.uint8(model.voxels[i]);
+                    w.uint8(model.voxels[i + 1]);
+                    w.uint8(model.voxels[i + 2]);
+                    w.uint8(lookup.get(model.voxels[i + 3]));
+                }
+            });
+        }
+
+        // Scene graph: root transform → group → (transform → shape) per model
+        writer.chunk('nTRN', w => {
+            w.int32(0); w.dict({}); w.int32(1); w.int32(-1); w.int32(-1);
+            w.int32(1); w.dict({});
+        });
+        writer.chunk('nGRP', w => {
+            w.int32(1); w.dict({});
+            w.int32(models.length);
+            models.forEach((_, i) => w.int32(2 + i * 2));
+        });
+        models.forEach((model, i) => {
+            // Translation points at the model center, matching the importer's pivot
+            const t = model.origin.map((o, a) => o + Math.floor(model.size[a] / 2));
+            writer.chunk('nTRN', w => {
+                w.int32(2 + i * 2); w.dict({}); w.int32(3 + i * 2); w.int32(-1); w.int32(0);
+                w.int32(1); w.dict({ _t: t.join(' ') });
+            });
+            writer.chunk('nSHP', w => {
+                w.int32(3 + i * 2); w.dict({});
+                w.int32(1); w.int32(i); w.dict({});
+            });
+        });
+
+        writer.chunk('RGBA', w => {
+            for (let i = 1; i <= 256; i++) {
+                const c = (i % 256) * 4;
+                w.uint8(palette[c]); w.uint8(palette[c + 1]); w.uint8(palette[c + 2]); w.uint8(palette[c + 3]);
+            }
+        });
+
+        new DataView(writer.bytes.buffer).setInt32(childrenOffset, writer.length - childrenStart, true);
+        return writer.toArrayBuffer();
+    }
+};
+
+// ============================================================================
+// Export
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VoxIO, VoxReader, VoxWriter, VOX_DEFAULT_PALETTE };
+}